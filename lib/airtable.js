@@ -1,15 +1,24 @@
 // lib/airtable.js
-import fetch from "node-fetch";
+// Airtable storage adapter (STORAGE_BACKEND=airtable, see lib/storage.js). The table/column
+// names and the record mappers are exported too: lib/storage-local.js keeps the same
+// record shape, so both adapters read and write rows identically.
+import { httpRequest } from "./http.js";
+import { resolveVat } from "./vat.js";
+import { BASE_CURRENCY, convert, fxRate, ratesAsOf } from "./currency.js";
 
-const {
-  AIRTABLE_API_KEY,
-  AIRTABLE_BASE_ID,
+const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID } = process.env;
 
+export const {
   // --- TABLES
   AIRTABLE_TABLE_ORDERS     = "Unfulfilled Orders Log",
   AIRTABLE_TABLE_INVENTORY  = "Inventory",
   AIRTABLE_TABLE_SALES      = "Sales",
   AIRTABLE_TABLE_OFFER_MSGS = "Offer Messages",
+  AIRTABLE_TABLE_OFFER_QUEUE = "Offer Queue",   // waterfall tiers waiting to be sent
+  AIRTABLE_TABLE_SELLERS    = "Sellers Database",
+  AIRTABLE_TABLE_CLICKS     = "Offer Clicks",  // audit log of every button click
+  AIRTABLE_TABLE_BOOKINGS   = "Booking Log",   // one row per confirm saga (lib/booking.js)
+  AIRTABLE_TABLE_CLAIMS     = "Order Claims",  // one row per booking claim attempt (lib/claims.js)
 
   // --- INVENTORY FIELDS
   FIELD_INV_QTY               = "Quantity",
@@ -19,17 +28,26 @@ const {
   FIELD_INV_VAT_TYPE          = "VAT Type (Margin / VAT0 / VAT21)",
   FIELD_INV_LINK_SKU_MASTER   = "SKU Master",     // linked to SKU Master (expects array of rec ids)
   FIELD_INV_LINKED_SELLER     = "Linked Seller",  // linked to Sellers Database (expects array of rec ids)
+  FIELD_INV_SELLER_ID_LOOKUP  = "Seller ID (from Linked Seller)", // lookup of Linked Seller → Seller ID (/my-stock filter)
   FIELD_INV_SELLER_COUNTRY    = "Seller Country", // <-- add this
+  FIELD_INV_ASKING_PRICE      = "Selling Price Suggested", // seller's asking price (EUR)
+  FIELD_INV_UNAVAILABLE       = "Unavailable",    // checkbox; set from /stock update
 
   // --- SALES FIELDS (as in your base)
   FIELD_SALE_PRODUCT_NAME     = "Product Name",
   FIELD_SALE_SKU_LINK         = "SKU",                 // linked -> expects ["rec..."]
   FIELD_SALE_SIZE             = "Size",
   FIELD_SALE_BRAND            = "Brand",
-  FIELD_SALE_FINAL_PRICE      = "Final Selling Price", // number/currency
+  FIELD_SALE_FINAL_PRICE      = "Final Selling Price", // number/currency, always EUR
+  // Multi-currency: what the seller agreed to, and the rate used to get to EUR
+  FIELD_SALE_ORIGINAL_PRICE   = "Original Price",
+  FIELD_SALE_CURRENCY         = "Original Currency",   // "EUR" | "GBP" | "CHF" …
+  FIELD_SALE_FX_RATE          = "FX Rate",             // EUR per 1 unit of the original currency
+  FIELD_SALE_FX_AS_OF         = "FX Rates As Of",      // timestamp of the rate table
   FIELD_SALE_VAT_TYPE         = "VAT Type",            // single select -> expects the option name (string)
   FIELD_SALE_SELLER_LINK      = "Seller ID",           // linked -> expects ["rec..."]
   FIELD_SALE_ORDER_LINK       = "Linked Order Number",        // linked -> expects ["rec..."]
+  FIELD_SALE_BOOKING_KEY      = "Booking Key",         // text; the confirm that created the row (lib/booking.js)
 
   // --- OFFER MSG FIELDS (optional table)
   // We will try both "Order Record ID" (text) and (optionally) "Order" as an alt column name.
@@ -40,14 +58,91 @@ const {
   FIELD_OFFERS_SELLER_ID      = "Seller ID",
   FIELD_OFFERS_INV_ID         = "Inventory Record ID",
   FIELD_OFFERS_OFFER_PRICE    = "Offer Price",
+  // Counter-offers are written onto the same row as the message they answer
+  FIELD_OFFERS_COUNTER_PRICE  = "Counter Price",
+  FIELD_OFFERS_COUNTER_STATUS = "Counter Status", // Pending | Accepted | Rejected
+  // Expiry: a date/time column + a checkbox the sweeper ticks once the buttons are closed
+  FIELD_OFFERS_EXPIRES_AT     = "Expires At",
+  FIELD_OFFERS_EXPIRED        = "Expired",
+  FIELD_OFFERS_ORDER_QTY      = "Order Quantity", // pairs requested for the order (default 1)
+  FIELD_OFFERS_BUYER_COUNTRY  = "Buyer Country",  // from the /offers payload; drives the VAT rule at booking
+  FIELD_OFFERS_CURRENCY       = "Currency",       // seller's currency; Offer/Counter Price are in it
+  FIELD_OFFERS_LANGUAGE       = "Language",       // seller's language when the offer was sent
+  // What happened to the message (see OFFER_STATUS); written on every transition
+  FIELD_OFFERS_STATUS         = "Status",
+  FIELD_OFFERS_STATUS_AT      = "Status Changed At", // date/time
+  FIELD_OFFERS_RESPONDER      = "Responded By",   // Discord user tag/id of the seller who answered
+  FIELD_OFFERS_DENY_REASON    = "Deny Reason",    // single select, English label
+  FIELD_OFFERS_DETAILS        = "Offer Details",  // long text (JSON): what the embed was rendered from
+
+  // --- OFFER QUEUE FIELDS (one row per pending waterfall tier)
+  FIELD_QUEUE_ORDER_ID        = "Order Record ID",
+  FIELD_QUEUE_TIER            = "Tier",        // number, 0-based
+  FIELD_QUEUE_RELEASE_AT      = "Release At",  // date/time
+  FIELD_QUEUE_PAYLOAD         = "Payload",     // long text (JSON)
+  FIELD_QUEUE_STATUS          = "Status",      // Pending | Sent | Cancelled
+  FIELD_QUEUE_KIND            = "Kind",        // Tier (waterfall) | Retry (failed send)
+
+  // --- SELLERS FIELDS
+  FIELD_SELLER_ID             = "Seller ID",          // e.g. "SE-00481"
+  FIELD_SELLER_DISCORD_USERS  = "Discord User IDs",   // text, comma separated snowflakes
+  FIELD_SELLER_DISCORD_ROLES  = "Discord Role IDs",   // text, comma separated snowflakes
+  FIELD_SELLER_LANGUAGE       = "Language",           // en | nl | de (message catalog; default en)
+  FIELD_SELLER_CURRENCY       = "Currency",           // currency of the seller's /stock prices (default EUR)
+  FIELD_SELLER_NAME           = "Seller Name",        // = the seller's Discord category name
+  FIELD_SELLER_LAST_SCORECARD = "Last Scorecard At",  // date/time; the weekly scorecard job skips sellers already sent
+
+  // --- OFFER CLICKS FIELDS
+  FIELD_CLICK_ORDER_ID        = "Order Record ID",
+  FIELD_CLICK_SELLER_ID       = "Seller ID",
+  FIELD_CLICK_INV_ID          = "Inventory Record ID",
+  FIELD_CLICK_MESSAGE_ID      = "Message ID",
+  FIELD_CLICK_ACTION          = "Action",
+  FIELD_CLICK_USER_ID         = "Discord User ID",
+  FIELD_CLICK_USER_TAG        = "Discord User",
+  FIELD_CLICK_AUTHORIZED      = "Authorized",         // checkbox
+  FIELD_CLICK_AT              = "Clicked At",         // date/time
+
+  // --- ORDER FIELDS
+  FIELD_ORDER_STATUS          = "Fulfillment Status",
+
+  // --- BOOKING LOG FIELDS
+  FIELD_BOOK_ORDER_ID         = "Order Record ID",
+  FIELD_BOOK_INV_ID           = "Inventory Record ID",
+  FIELD_BOOK_SELLER_ID        = "Seller ID",
+  FIELD_BOOK_STATUS           = "Status",      // Running | Completed | Compensated | Failed | Needs Repair
+  FIELD_BOOK_SALE_ID          = "Sale Record ID",
+  FIELD_BOOK_STEPS            = "Steps",       // long text (JSON: context + step log)
+  FIELD_BOOK_ERROR            = "Error",
+  FIELD_BOOK_UPDATED_AT       = "Updated At",  // date/time
+
+  // --- ORDER CLAIMS FIELDS
+  FIELD_CLAIM_KEY             = "Claim Key",   // "<order record id>#<slot>"
+  FIELD_CLAIM_TOKEN           = "Token",       // "<owner>@<iso time>"
+  FIELD_CLAIM_SOLD            = "Sold",        // checkbox; ticked once the slot's sale is booked
 } = process.env;
 
+/** Every table the bot reads or writes (used by the storage importer / exporter). */
+export const TABLES = [
+  AIRTABLE_TABLE_ORDERS,
+  AIRTABLE_TABLE_INVENTORY,
+  AIRTABLE_TABLE_SALES,
+  AIRTABLE_TABLE_OFFER_MSGS,
+  AIRTABLE_TABLE_OFFER_QUEUE,
+  AIRTABLE_TABLE_SELLERS,
+  AIRTABLE_TABLE_CLICKS,
+  AIRTABLE_TABLE_BOOKINGS,
+  AIRTABLE_TABLE_CLAIMS,
+];
+
 const AT_API = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}`;
+const AT_META_API = `https://api.airtable.com/v0/meta/bases/${AIRTABLE_BASE_ID}`;
 
 /* -------------------- core request -------------------- */
-async function airtableRequest(method, path, body) {
-  const res = await fetch(`${AT_API}/${path}`, {
+async function airtableRequest(method, path, body, api = AT_API) {
+  const res = await httpRequest(`${api}/${path}`, {
     method,
+    label: `Airtable ${method} ${path.split("?")[0]}`,
     headers: {
       Authorization: `Bearer ${AIRTABLE_API_KEY}`,
       "Content-Type": "application/json",
@@ -61,8 +156,35 @@ async function airtableRequest(method, path, body) {
   return res.json();
 }
 
+// GET every page of a list query (Airtable returns max 100 records + an `offset` cursor)
+async function airtableListAll(tablePath, params = {}) {
+  const records = [];
+  let offset;
+  do {
+    const qs = new URLSearchParams({ ...params, ...(offset ? { offset } : {}) });
+    const data = await airtableRequest("GET", `${tablePath}?${qs}`);
+    records.push(...(data.records || []));
+    offset = data.offset;
+  } while (offset);
+  return records;
+}
+
+/** Every record of a table as Airtable returns it ({ id, createdTime, fields }). */
+export async function dumpTable(table) {
+  return airtableListAll(encodeURIComponent(table));
+}
+
+/**
+ * Tables of the base with their fields ({ name, type, options }) from the metadata API.
+ * The token needs the schema.bases:read scope.
+ */
+export async function getBaseSchema() {
+  const data = await airtableRequest("GET", "tables", null, AT_META_API);
+  return data.tables || [];
+}
+
 /* -------------------- helpers -------------------- */
-const toText = (val) => {
+export const toText = (val) => {
   if (!val) return null;
   if (Array.isArray(val)) {
     const parts = val
@@ -78,7 +200,7 @@ const toText = (val) => {
   return null;
 };
 
-const toNumber = (val) => {
+export const toNumber = (val) => {
   if (typeof val === "number") return val;
   if (typeof val === "string") {
     const n = parseFloat(val.replace(/[^\d.,-]/g, "").replace(",", "."));
@@ -88,7 +210,7 @@ const toNumber = (val) => {
 };
 
 // Return first linked rec id if the cell is ["rec..."] or [{id:"rec..."}]
-const getFirstLinkedId = (val) => {
+export const getFirstLinkedId = (val) => {
   if (!Array.isArray(val) || !val.length) return null;
   const first = val[0];
   if (typeof first === "string") return first;
@@ -96,9 +218,12 @@ const getFirstLinkedId = (val) => {
   return null;
 };
 
-const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+export const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
 
-function uniqBy(arr, keyer) {
+// String literal for filterByFormula (values may come from Discord, e.g. category names)
+const quote = (s) => `'${String(s ?? "").replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+export function uniqBy(arr, keyer) {
   const seen = new Set();
   const out = [];
   for (const x of arr) {
@@ -115,36 +240,72 @@ function uniqBy(arr, keyer) {
    OFFER MESSAGES (log + read)
    ====================================================================================== */
 
-/**
- * Log a Discord message row so we can disable buttons later for *all* messages of an order.
- * Safe: if optional columns are missing in your table, Airtable ignores unknown fields.
- */
-export async function logOfferMessage({
+/** Offer Messages `Status` values. Only Sent (or empty, for rows logged before Status existed) is open. */
+export const OFFER_STATUS = Object.freeze({
+  SENT: "Sent",
+  DENIED: "Denied",
+  CONFIRMED: "Confirmed",
+  MATCHED_ELSEWHERE: "Matched Elsewhere",   // another seller (or a reconcile) filled the order
+  CLOSED_EXTERNALLY: "Closed Externally",   // /disable-offers, or the order was closed in Airtable
+  EXPIRED: "Expired",
+  OUT_OF_STOCK: "Out of Stock",             // stock went to 0 (/stock update or a refused confirm)
+  REFUSED: "Refused",                       // confirm refused: item not the seller's / missing
+});
+
+export const isOpenOfferStatus = (status) => !status || status === OFFER_STATUS.SENT;
+
+// Same test inside filterByFormula
+const OPEN_STATUS_FORMULA = `OR({${FIELD_OFFERS_STATUS}}=BLANK(), {${FIELD_OFFERS_STATUS}}='${OFFER_STATUS.SENT}')`;
+
+/** Fields of a new Offer Messages row (see logOfferMessage). */
+export function offerMessageFields({
   orderRecId,
   sellerId,
   inventoryRecordId,
   channelId,
   messageId,
   offerPrice,
+  expiresAt, // ISO string or Date; null = never expires
+  orderQuantity = 1,
+  buyerCountry = null,
+  currency = BASE_CURRENCY,
+  language = null,
+  details = null,  // embed inputs, so POST /offers/update can re-render the message
 }) {
-  try {
-    const fields = {
-      [FIELD_OFFERS_ORDER_ID]: orderRecId, // primary text column
-      [FIELD_OFFERS_CHANNEL_ID]: channelId,
-      [FIELD_OFFERS_MESSAGE_ID]: messageId,
-    };
-
-    // Optional extras (ignored if your Offer Messages table doesn't have them)
-    if (FIELD_OFFERS_SELLER_ID) fields[FIELD_OFFERS_SELLER_ID] = sellerId ?? null;
-    if (FIELD_OFFERS_INV_ID) fields[FIELD_OFFERS_INV_ID] = inventoryRecordId ?? null;
-    if (FIELD_OFFERS_OFFER_PRICE)
-      fields[FIELD_OFFERS_OFFER_PRICE] =
-        typeof offerPrice === "number" ? round2(offerPrice) : null;
+  const fields = {
+    [FIELD_OFFERS_ORDER_ID]: orderRecId, // primary text column
+    [FIELD_OFFERS_CHANNEL_ID]: channelId,
+    [FIELD_OFFERS_MESSAGE_ID]: messageId,
+    [FIELD_OFFERS_STATUS]: OFFER_STATUS.SENT,
+    [FIELD_OFFERS_STATUS_AT]: new Date().toISOString(),
+  };
 
+  // Optional extras (ignored if your Offer Messages table doesn't have them)
+  if (FIELD_OFFERS_SELLER_ID) fields[FIELD_OFFERS_SELLER_ID] = sellerId ?? null;
+  if (FIELD_OFFERS_INV_ID) fields[FIELD_OFFERS_INV_ID] = inventoryRecordId ?? null;
+  if (FIELD_OFFERS_OFFER_PRICE)
+    fields[FIELD_OFFERS_OFFER_PRICE] =
+      typeof offerPrice === "number" ? round2(offerPrice) : null;
+  if (expiresAt) fields[FIELD_OFFERS_EXPIRES_AT] = new Date(expiresAt).toISOString();
+  if (orderQuantity > 1) fields[FIELD_OFFERS_ORDER_QTY] = orderQuantity;
+  if (buyerCountry) fields[FIELD_OFFERS_BUYER_COUNTRY] = buyerCountry;
+  if (currency !== BASE_CURRENCY) fields[FIELD_OFFERS_CURRENCY] = currency;
+  if (language) fields[FIELD_OFFERS_LANGUAGE] = language;
+  if (details) fields[FIELD_OFFERS_DETAILS] = JSON.stringify(details);
+  return fields;
+}
+
+/**
+ * Log a Discord message row so we can disable buttons later for *all* messages of an order.
+ * Safe: if optional columns are missing in your table, Airtable ignores unknown fields.
+ */
+export async function logOfferMessage(offer) {
+  try {
+    const fields = offerMessageFields(offer);
     await airtableRequest(
       "POST",
       encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS),
-      { fields }
+      { fields, typecast: true }
     );
   } catch (e) {
     console.warn("logOfferMessage warn:", e.message);
@@ -152,40 +313,435 @@ export async function logOfferMessage({
 }
 
 /**
- * Fetch all logged messages for an Airtable order record id.
- * Tries multiple column names; if filters return nothing, falls back to scanning.
+ * Every logged message for an Airtable order record id (all pages, all fields),
+ * oldest first, one row per Discord message.
  */
-// Replace listOfferMessagesForOrder with this lean version
 export async function listOfferMessagesForOrder(orderRecId) {
   if (!orderRecId) return [];
-  const tablePath = encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS);
-  const formula = `{${FIELD_OFFERS_ORDER_ID}}='${orderRecId}'`;
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS), {
+    filterByFormula: `{${FIELD_OFFERS_ORDER_ID}}=${quote(orderRecId)}`,
+  });
+  const pairs = records
+    .map(mapOfferMessage)
+    .filter(x => x.channelId && x.messageId)
+    .sort((a, b) => String(a.sentAt).localeCompare(String(b.sentAt)));
+  return uniqBy(pairs, p => `${p.channelId}:${p.messageId}`);
+}
+
+/** A seller's logged messages from the last `days` days (all pages), newest first. */
+export async function listOfferMessagesForSeller(sellerId, { days = 30 } = {}) {
+  return listRecentOfferMessages({ sellerId, days });
+}
+
+/** Offer messages sent in the last `days` days (all sellers unless `sellerId`), newest first. */
+export async function listRecentOfferMessages({ sellerId, days = 7 } = {}) {
+  const conds = [`IS_AFTER(CREATED_TIME(), DATEADD(NOW(), -${Number(days)}, 'days'))`];
+  if (sellerId) conds.unshift(`{${FIELD_OFFERS_SELLER_ID}}=${quote(sellerId)}`);
+  const formula = `AND(${conds.join(", ")})`;
+  const records = await airtableListAll(
+    encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS),
+    { filterByFormula: formula }
+  );
+  return records
+    .map(mapOfferMessage)
+    .filter(x => x.channelId && x.messageId)
+    .sort((a, b) => String(b.sentAt).localeCompare(String(a.sentAt)));
+}
+
+export function mapOfferMessage(r) {
+  const f = r.fields || {};
+  let details = null;
+  try { details = JSON.parse(f[FIELD_OFFERS_DETAILS] || "null"); } catch { /* keep null */ }
+  return {
+    recordId: r.id,
+    orderRecId: toText(f[FIELD_OFFERS_ORDER_ID]),
+    channelId: f[FIELD_OFFERS_CHANNEL_ID],
+    messageId: f[FIELD_OFFERS_MESSAGE_ID],
+    sellerId: toText(f[FIELD_OFFERS_SELLER_ID]),
+    inventoryRecordId: toText(f[FIELD_OFFERS_INV_ID]),
+    offerPrice: toNumber(f[FIELD_OFFERS_OFFER_PRICE]),
+    counterPrice: toNumber(f[FIELD_OFFERS_COUNTER_PRICE]),
+    counterStatus: toText(f[FIELD_OFFERS_COUNTER_STATUS]),
+    expiresAt: f[FIELD_OFFERS_EXPIRES_AT] || null,
+    expired: !!f[FIELD_OFFERS_EXPIRED],
+    orderQuantity: toNumber(f[FIELD_OFFERS_ORDER_QTY]) || 1,
+    buyerCountry: toText(f[FIELD_OFFERS_BUYER_COUNTRY]) || null,
+    currency: toText(f[FIELD_OFFERS_CURRENCY]) || BASE_CURRENCY,
+    language: toText(f[FIELD_OFFERS_LANGUAGE]) || null,
+    sentAt: r.createdTime || null,
+    status: toText(f[FIELD_OFFERS_STATUS]) || null,
+    statusAt: f[FIELD_OFFERS_STATUS_AT] || null,
+    respondedBy: toText(f[FIELD_OFFERS_RESPONDER]) || null,
+    denyReason: toText(f[FIELD_OFFERS_DENY_REASON]) || null,
+    details,
+  };
+}
+
+/**
+ * Find the logged row for a single Discord message (null if it was never logged).
+ */
+export async function findOfferMessage(messageId) {
+  if (!messageId) return null;
+  const formula = `{${FIELD_OFFERS_MESSAGE_ID}}=${quote(messageId)}`;
   const data = await airtableRequest(
     "GET",
-    `${tablePath}?filterByFormula=${encodeURIComponent(formula)}`
+    `${encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS)}?maxRecords=1&filterByFormula=${encodeURIComponent(formula)}`
+  );
+  const rec = data.records?.[0];
+  return rec ? mapOfferMessage(rec) : null;
+}
+
+/**
+ * Logged messages whose `Expires At` has passed but that the sweeper has not closed yet.
+ */
+export async function listExpiredOfferMessages() {
+  const formula =
+    `AND({${FIELD_OFFERS_EXPIRES_AT}}, IS_BEFORE({${FIELD_OFFERS_EXPIRES_AT}}, NOW()), NOT({${FIELD_OFFERS_EXPIRED}}), ${OPEN_STATUS_FORMULA})`;
+  const records = await airtableListAll(
+    encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS),
+    { filterByFormula: formula }
+  );
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId);
+}
+
+/**
+ * A seller's offer messages that are still open: not expired (by flag or time) and not
+ * counter-accepted. Order status is not checked here.
+ */
+export async function listOpenOfferMessagesForSeller(sellerId) {
+  const formula = `AND({${FIELD_OFFERS_SELLER_ID}}=${quote(sellerId)}, NOT({${FIELD_OFFERS_EXPIRED}}), ${OPEN_STATUS_FORMULA}, ` +
+    `OR({${FIELD_OFFERS_EXPIRES_AT}}=BLANK(), IS_AFTER({${FIELD_OFFERS_EXPIRES_AT}}, NOW())))`;
+  const records = await airtableListAll(
+    encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS),
+    { filterByFormula: formula }
+  );
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId && x.counterStatus !== "Accepted");
+}
+
+/** Offer messages for one Inventory record whose buttons are not closed yet. */
+export async function listOpenOfferMessagesForInventory(inventoryRecordId) {
+  const formula = `AND({${FIELD_OFFERS_INV_ID}}=${quote(inventoryRecordId)}, NOT({${FIELD_OFFERS_EXPIRED}}), ${OPEN_STATUS_FORMULA})`;
+  const records = await airtableListAll(
+    encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS),
+    { filterByFormula: formula }
+  );
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId);
+}
+
+/** Tick `Expired` (= buttons closed) and record why: an OFFER_STATUS value. */
+export async function markOfferMessagesExpired(recordIds, status = OFFER_STATUS.EXPIRED) {
+  await setOfferMessageStatus(recordIds, { status, extra: { [FIELD_OFFERS_EXPIRED]: true } });
+}
+
+/** Fields written for a status transition; `responder` / `denyReason` only when given. */
+export function offerStatusFields({ status, responder, denyReason, extra = {} }) {
+  const fields = {
+    ...extra,
+    [FIELD_OFFERS_STATUS]: status,
+    [FIELD_OFFERS_STATUS_AT]: new Date().toISOString(),
+  };
+  if (responder) fields[FIELD_OFFERS_RESPONDER] = responder;
+  if (denyReason) fields[FIELD_OFFERS_DENY_REASON] = denyReason;
+  return fields;
+}
+
+/** Fields written when a live offer is re-rendered (POST /offers/update). */
+export function offerDetailsFields({ offerPrice, details }) {
+  return {
+    [FIELD_OFFERS_OFFER_PRICE]: typeof offerPrice === "number" ? round2(offerPrice) : null,
+    [FIELD_OFFERS_DETAILS]: JSON.stringify(details),
+  };
+}
+
+/** New price + render inputs for one Offer Messages row. */
+export async function updateOfferMessageDetails(recordId, update) {
+  await airtableRequest("PATCH", `${encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS)}/${recordId}`, {
+    fields: offerDetailsFields(update),
+  });
+}
+
+/**
+ * Record a transition on one or more Offer Messages rows (batched, 10 per PATCH).
+ * `responder` / `denyReason` are only written when given.
+ */
+export async function setOfferMessageStatus(recordIds, transition) {
+  const ids = [].concat(recordIds).filter(Boolean);
+  const fields = offerStatusFields(transition);
+  const table = encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS);
+  // Airtable batch PATCH takes at most 10 records per call
+  for (let i = 0; i < ids.length; i += 10) {
+    await airtableRequest("PATCH", table, {
+      records: ids.slice(i, i + 10).map(id => ({ id, fields })),
+      typecast: true,
+    });
+  }
+}
+
+/* ======================================================================================
+   OFFER QUEUE (waterfall tiers)
+   ====================================================================================== */
+
+const queueTable = () => encodeURIComponent(AIRTABLE_TABLE_OFFER_QUEUE);
+
+export function mapQueueRow(r) {
+  const f = r.fields || {};
+  let payload = null;
+  try { payload = JSON.parse(f[FIELD_QUEUE_PAYLOAD] || "null"); } catch { /* keep null */ }
+  return {
+    recordId: r.id,
+    orderRecId: toText(f[FIELD_QUEUE_ORDER_ID]),
+    tier: toNumber(f[FIELD_QUEUE_TIER]),
+    releaseAt: f[FIELD_QUEUE_RELEASE_AT] || null,
+    status: toText(f[FIELD_QUEUE_STATUS]),
+    kind: toText(f[FIELD_QUEUE_KIND]) || "Tier",
+    payload,
+  };
+}
+
+export async function enqueueOfferTier({ orderRecId, tier, releaseAt, payload, kind = "Tier" }) {
+  await airtableRequest("POST", queueTable(), {
+    fields: {
+      [FIELD_QUEUE_ORDER_ID]: orderRecId,
+      [FIELD_QUEUE_KIND]: kind,
+      [FIELD_QUEUE_TIER]: tier,
+      [FIELD_QUEUE_RELEASE_AT]: new Date(releaseAt).toISOString(),
+      [FIELD_QUEUE_PAYLOAD]: JSON.stringify(payload),
+      [FIELD_QUEUE_STATUS]: "Pending",
+    },
+    typecast: true,
+  });
+}
+
+/** Pending queue rows (tiers and retries) whose release time has passed, oldest first. */
+export async function listDueOfferTiers() {
+  const formula =
+    `AND({${FIELD_QUEUE_STATUS}}='Pending', NOT(IS_AFTER({${FIELD_QUEUE_RELEASE_AT}}, NOW())))`;
+  const records = await airtableListAll(queueTable(), {
+    filterByFormula: formula,
+    "sort[0][field]": FIELD_QUEUE_RELEASE_AT,
+    "sort[0][direction]": "asc",
+  });
+  return records.map(mapQueueRow);
+}
+
+export async function setOfferTierStatus(recordId, status) {
+  await airtableRequest("PATCH", `${queueTable()}/${recordId}`, {
+    fields: { [FIELD_QUEUE_STATUS]: status },
+    typecast: true,
+  });
+}
+
+/** Current Status of a queue row (null once the row is gone). */
+export async function getOfferTierStatus(recordId) {
+  try {
+    return toText((await airtableRequest("GET", `${queueTable()}/${recordId}`)).fields?.[FIELD_QUEUE_STATUS]);
+  } catch (e) {
+    if (/→ 404\b/.test(e.message)) return null;
+    throw e;
+  }
+}
+
+/** Cancel every still-pending tier of an order. Returns how many were cancelled. */
+export async function cancelOfferTiersForOrder(orderRecId) {
+  const formula = `AND({${FIELD_QUEUE_ORDER_ID}}=${quote(orderRecId)}, {${FIELD_QUEUE_STATUS}}='Pending')`;
+  const records = await airtableListAll(queueTable(), { filterByFormula: formula });
+  for (let i = 0; i < records.length; i += 10) {
+    await airtableRequest("PATCH", queueTable(), {
+      records: records.slice(i, i + 10).map(r => ({ id: r.id, fields: { [FIELD_QUEUE_STATUS]: "Cancelled" } })),
+      typecast: true,
+    });
+  }
+  return records.length;
+}
+
+/* ======================================================================================
+   SELLERS + CLICK AUDIT
+   ====================================================================================== */
+
+export const splitIds = (val) =>
+  (toText(val) || "").split(/[\s,;]+/).map(x => x.trim()).filter(Boolean);
+
+export function mapSeller(r) {
+  const f = r.fields || {};
+  return {
+    recordId: r.id,
+    sellerId: toText(f[FIELD_SELLER_ID]),
+    sellerName: toText(f[FIELD_SELLER_NAME]),
+    discordUserIds: splitIds(f[FIELD_SELLER_DISCORD_USERS]),
+    discordRoleIds: splitIds(f[FIELD_SELLER_DISCORD_ROLES]),
+    language: toText(f[FIELD_SELLER_LANGUAGE]) || null,
+    currency: toText(f[FIELD_SELLER_CURRENCY]) || null,
+    lastScorecardAt: f[FIELD_SELLER_LAST_SCORECARD] || null,
+  };
+}
+
+/** Every row of the Sellers table. */
+export async function listSellers() {
+  return (await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_SELLERS))).map(mapSeller);
+}
+
+/** Remember when the weekly scorecard was last posted for a seller. */
+export async function setSellerLastScorecard(recordId, at = new Date().toISOString()) {
+  await airtableRequest("PATCH", `${encodeURIComponent(AIRTABLE_TABLE_SELLERS)}/${recordId}`, {
+    fields: { [FIELD_SELLER_LAST_SCORECARD]: at },
+  });
+}
+
+/**
+ * Look up a seller by its human Seller ID ("SE-00481"). Null if not found.
+ */
+export async function getSellerBySellerId(sellerId) {
+  if (!sellerId) return null;
+  const formula = `{${FIELD_SELLER_ID}}=${quote(sellerId)}`;
+  const data = await airtableRequest(
+    "GET",
+    `${encodeURIComponent(AIRTABLE_TABLE_SELLERS)}?maxRecords=1&filterByFormula=${encodeURIComponent(formula)}`
+  );
+  const r = data.records?.[0];
+  return r ? mapSeller(r) : null;
+}
+
+/** Seller whose Seller ID or Seller Name equals `name` (a Discord category name). */
+export async function findSellerByName(name) {
+  if (!name) return null;
+  const formula = `OR({${FIELD_SELLER_ID}}=${quote(name)}, LOWER(TRIM({${FIELD_SELLER_NAME}}))=${quote(String(name).trim().toLowerCase())})`;
+  const data = await airtableRequest(
+    "GET",
+    `${encodeURIComponent(AIRTABLE_TABLE_SELLERS)}?maxRecords=1&filterByFormula=${encodeURIComponent(formula)}`
+  );
+  const r = data.records?.[0];
+  return r ? mapSeller(r) : null;
+}
+
+/** Sellers that list this Discord user or one of these roles (exact id match). */
+export async function findSellersByDiscord({ userId, roleIds = [] }) {
+  const ids = [userId, ...roleIds].filter(Boolean).map(String);
+  if (!ids.length) return [];
+  const finds = ids.flatMap(id => [
+    `FIND(${quote(id)}, {${FIELD_SELLER_DISCORD_USERS}})`,
+    `FIND(${quote(id)}, {${FIELD_SELLER_DISCORD_ROLES}})`,
+  ]);
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_SELLERS), {
+    filterByFormula: `OR(${finds.join(", ")})`,
+  });
+  // FIND is a substring match; keep only real hits
+  return records.map(mapSeller).filter(s =>
+    s.discordUserIds.includes(String(userId)) || s.discordRoleIds.some(r => roleIds.map(String).includes(r))
+  );
+}
+
+/** Click audit rows for an order and/or seller, oldest first. */
+export async function listOfferClicks({ orderRecId, sellerId, days } = {}) {
+  const conds = [];
+  if (orderRecId) conds.push(`{${FIELD_CLICK_ORDER_ID}}=${quote(orderRecId)}`);
+  if (sellerId) conds.push(`{${FIELD_CLICK_SELLER_ID}}=${quote(sellerId)}`);
+  if (days) conds.push(`IS_AFTER(CREATED_TIME(), DATEADD(NOW(), -${Number(days)}, 'days'))`);
+  if (!conds.length) throw new Error("listOfferClicks needs orderRecId, sellerId or days");
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_CLICKS), {
+    filterByFormula: `AND(${conds.join(", ")})`,
+  });
+  return records
+    .map(mapClick)
+    .sort((a, b) => String(a.clickedAt).localeCompare(String(b.clickedAt)));
+}
+
+export function mapClick(r) {
+  const f = r.fields || {};
+  return {
+    orderRecId: toText(f[FIELD_CLICK_ORDER_ID]),
+    sellerId: toText(f[FIELD_CLICK_SELLER_ID]),
+    inventoryRecordId: toText(f[FIELD_CLICK_INV_ID]),
+    messageId: toText(f[FIELD_CLICK_MESSAGE_ID]),
+    action: toText(f[FIELD_CLICK_ACTION]),
+    userId: toText(f[FIELD_CLICK_USER_ID]),
+    userTag: toText(f[FIELD_CLICK_USER_TAG]),
+    authorized: !!f[FIELD_CLICK_AUTHORIZED],
+    clickedAt: f[FIELD_CLICK_AT] || r.createdTime || null,
+  };
+}
+
+export const clickFields = ({
+  orderRecId, sellerId, inventoryRecordId, messageId, action, userId, userTag, authorized,
+}) => ({
+  [FIELD_CLICK_ORDER_ID]: orderRecId ?? null,
+  [FIELD_CLICK_SELLER_ID]: sellerId ?? null,
+  [FIELD_CLICK_INV_ID]: inventoryRecordId ?? null,
+  [FIELD_CLICK_MESSAGE_ID]: messageId ?? null,
+  [FIELD_CLICK_ACTION]: action,
+  [FIELD_CLICK_USER_ID]: userId ?? null,
+  [FIELD_CLICK_USER_TAG]: userTag ?? null,
+  [FIELD_CLICK_AUTHORIZED]: !!authorized,
+  [FIELD_CLICK_AT]: new Date().toISOString(),
+});
+
+/** Append one row to the click audit log. */
+export async function logOfferClick(click) {
+  await airtableRequest("POST", encodeURIComponent(AIRTABLE_TABLE_CLICKS), {
+    fields: clickFields(click),
+    typecast: true,
+  });
+}
+
+/* ======================================================================================
+   COUNTER OFFERS
+   ====================================================================================== */
+
+/**
+ * Store a seller's counter price on the Offer Messages row of the message they countered.
+ * Returns the updated row (mapped), or null when the message was never logged.
+ */
+export async function logCounterOffer({ messageId, counterPrice }) {
+  const row = await findOfferMessage(messageId);
+  if (!row) return null;
+  await airtableRequest(
+    "PATCH",
+    `${encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS)}/${row.recordId}`,
+    {
+      fields: {
+        [FIELD_OFFERS_COUNTER_PRICE]: round2(counterPrice),
+        [FIELD_OFFERS_COUNTER_STATUS]: "Pending",
+      },
+      typecast: true,
+    }
+  );
+  return { ...row, counterPrice: round2(counterPrice), counterStatus: "Pending" };
+}
+
+export async function setCounterOfferStatus(recordId, status) {
+  await airtableRequest(
+    "PATCH",
+    `${encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS)}/${recordId}`,
+    { fields: { [FIELD_OFFERS_COUNTER_STATUS]: status }, typecast: true }
   );
-  const pairs = (data.records || [])
-    .map(r => ({
-      channelId: r.fields?.[FIELD_OFFERS_CHANNEL_ID],
-      messageId: r.fields?.[FIELD_OFFERS_MESSAGE_ID],
-    }))
-    .filter(x => x.channelId && x.messageId);
-  return uniqBy(pairs, p => `${p.channelId}:${p.messageId}`);
 }
 
 
 // Add near other exports
 export async function hasSaleForOrder(orderRecId) {
   // Sales table may store links as an array; filter by link contents
-  const formula = `FIND('${orderRecId}', ARRAYJOIN({${FIELD_SALE_ORDER_LINK}}))`;
+  const formula = `FIND(${quote(orderRecId)}, ARRAYJOIN({${FIELD_SALE_ORDER_LINK}}))`;
   const url = `${encodeURIComponent(AIRTABLE_TABLE_SALES)}?maxRecords=1&filterByFormula=${encodeURIComponent(formula)}`;
   const data = await airtableRequest("GET", url);
   return Array.isArray(data.records) && data.records.length > 0;
 }
 
+export async function countSalesForOrder(orderRecId) {
+  const formula = `FIND(${quote(orderRecId)}, ARRAYJOIN({${FIELD_SALE_ORDER_LINK}}))`;
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_SALES), {
+    filterByFormula: formula,
+    "fields[]": FIELD_SALE_ORDER_LINK,
+  });
+  return records.length;
+}
+
+/** True once an order has as many sales as pairs requested. */
+export async function isOrderFilled(orderRecId, quantity = 1) {
+  if (quantity <= 1) return hasSaleForOrder(orderRecId);
+  return (await countSalesForOrder(orderRecId)) >= quantity;
+}
+
 // lib/airtable.js (replace the function)
 export async function setOrderMatchedStatus(orderRecId, matchedLabel = "Matched") {
-  const FIELD_ORDER_STATUS = process.env.FIELD_ORDER_STATUS || "Fulfillment Status";
   const table = encodeURIComponent(AIRTABLE_TABLE_ORDERS);
   const recUrl = `${table}/${orderRecId}`;
 
@@ -214,46 +770,188 @@ export async function setOrderMatchedStatus(orderRecId, matchedLabel = "Matched"
 
 
 
+export async function getOrderStatus(orderRecId) {
+  const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_ORDERS)}/${orderRecId}`);
+  return toText(rec.fields?.[FIELD_ORDER_STATUS]);
+}
+
+/** Order record status, or { exists: false } when the record is gone. */
+export async function getOrderState(orderRecId) {
+  try {
+    const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_ORDERS)}/${orderRecId}`);
+    return { exists: true, status: toText(rec.fields?.[FIELD_ORDER_STATUS]) };
+  } catch (e) {
+    if (/→ 404\b/.test(e.message)) return { exists: false, status: null };
+    throw e;
+  }
+}
+
+/* -------------------- order claims (see lib/claims.js) -------------------- */
+const claimsTable = () => encodeURIComponent(AIRTABLE_TABLE_CLAIMS);
+
+export function mapClaim(r) {
+  const f = r.fields || {};
+  return {
+    id: r.id,
+    createdTime: r.createdTime,
+    key: toText(f[FIELD_CLAIM_KEY]),
+    token: toText(f[FIELD_CLAIM_TOKEN]),
+    sold: !!f[FIELD_CLAIM_SOLD],
+  };
+}
+
+export async function createClaimRecord({ key, token }) {
+  const rec = await airtableRequest("POST", claimsTable(), {
+    fields: { [FIELD_CLAIM_KEY]: key, [FIELD_CLAIM_TOKEN]: token },
+  });
+  return mapClaim(rec);
+}
+
+export async function listClaimRecords(key) {
+  const records = await airtableListAll(claimsTable(), {
+    filterByFormula: `{${FIELD_CLAIM_KEY}}=${quote(key)}`,
+  });
+  return records.map(mapClaim);
+}
+
+export async function markClaimRecordSold(recordId) {
+  await airtableRequest("PATCH", `${claimsTable()}/${recordId}`, {
+    fields: { [FIELD_CLAIM_SOLD]: true },
+  });
+}
+
+export async function deleteClaimRecord(recordId) {
+  try {
+    await airtableRequest("DELETE", `${claimsTable()}/${recordId}`);
+  } catch (e) {
+    if (!/→ 404\b/.test(e.message)) throw e; // already gone
+  }
+}
+
+/* ======================================================================================
+   BOOKING LOG (saga records, see lib/saga.js + lib/booking.js)
+   ====================================================================================== */
+
+const bookingsTable = () => encodeURIComponent(AIRTABLE_TABLE_BOOKINGS);
+
+export function bookingFields({ status, saleId, log, error }) {
+  const fields = { [FIELD_BOOK_UPDATED_AT]: new Date().toISOString() };
+  if (status) fields[FIELD_BOOK_STATUS] = status;
+  if (saleId !== undefined) fields[FIELD_BOOK_SALE_ID] = saleId;
+  if (log) fields[FIELD_BOOK_STEPS] = JSON.stringify(log);
+  if (error !== undefined) fields[FIELD_BOOK_ERROR] = error ? String(error).slice(0, 2000) : null;
+  return fields;
+}
+
+export async function createBookingLog({ orderRecId, inventoryRecordId, sellerId, log }) {
+  const rec = await airtableRequest("POST", bookingsTable(), {
+    fields: {
+      [FIELD_BOOK_ORDER_ID]: orderRecId,
+      [FIELD_BOOK_INV_ID]: inventoryRecordId,
+      [FIELD_BOOK_SELLER_ID]: sellerId ?? null,
+      ...bookingFields({ status: "Running", log }),
+    },
+    typecast: true,
+  });
+  return rec.id;
+}
+
+export async function updateBookingLog(recordId, patch) {
+  await airtableRequest("PATCH", `${bookingsTable()}/${recordId}`, {
+    fields: bookingFields(patch),
+    typecast: true,
+  });
+}
+
+/**
+ * Bookings that need a look: Failed / Needs Repair, or Running for longer than
+ * `staleMinutes` (the process died mid-saga).
+ */
+export async function listBookingsNeedingRepair(staleMinutes = 10) {
+  const formula = `OR(
+    {${FIELD_BOOK_STATUS}}='Failed',
+    {${FIELD_BOOK_STATUS}}='Needs Repair',
+    AND({${FIELD_BOOK_STATUS}}='Running', IS_BEFORE({${FIELD_BOOK_UPDATED_AT}}, DATEADD(NOW(), -${Number(staleMinutes)}, 'minutes')))
+  )`;
+  const records = await airtableListAll(bookingsTable(), { filterByFormula: formula });
+  return records.map(mapBooking);
+}
+
+/** Booking Log rows for an order and/or seller (any status). */
+export async function listBookings({ orderRecId, sellerId } = {}) {
+  const conds = [];
+  if (orderRecId) conds.push(`{${FIELD_BOOK_ORDER_ID}}=${quote(orderRecId)}`);
+  if (sellerId) conds.push(`{${FIELD_BOOK_SELLER_ID}}=${quote(sellerId)}`);
+  if (!conds.length) throw new Error("listBookings needs orderRecId or sellerId");
+  const records = await airtableListAll(bookingsTable(), { filterByFormula: `AND(${conds.join(", ")})` });
+  return records.map(mapBooking);
+}
+
+export function mapBooking(r) {
+  const f = r.fields || {};
+  let log = null;
+  try { log = JSON.parse(f[FIELD_BOOK_STEPS] || "null"); } catch { /* keep null */ }
+  return {
+    recordId: r.id,
+    orderRecId: toText(f[FIELD_BOOK_ORDER_ID]),
+    inventoryRecordId: toText(f[FIELD_BOOK_INV_ID]),
+    sellerId: toText(f[FIELD_BOOK_SELLER_ID]),
+    status: toText(f[FIELD_BOOK_STATUS]),
+    saleId: toText(f[FIELD_BOOK_SALE_ID]),
+    error: toText(f[FIELD_BOOK_ERROR]),
+    updatedAt: f[FIELD_BOOK_UPDATED_AT] || null,
+    log,
+  };
+}
+
+/** Sales created in the last `days` days with the order(s) they link to. */
+export async function listRecentSales(days = 7) {
+  const formula = `IS_AFTER(CREATED_TIME(), DATEADD(NOW(), -${Number(days)}, 'days'))`;
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_SALES), {
+    filterByFormula: formula,
+    "fields[]": FIELD_SALE_ORDER_LINK,
+  });
+  return records.map(r => ({
+    id: r.id,
+    orderRecIds: (r.fields?.[FIELD_SALE_ORDER_LINK] || []).map(x => (typeof x === "string" ? x : x?.id)).filter(Boolean),
+  }));
+}
+
 /* ======================================================================================
    SALES CREATION + INVENTORY DECREMENT
+   The confirm flow runs these as separate saga steps (see lib/booking.js):
+   prepareSale → createSaleRecord → adjustInventoryQuantity(-1), with
+   deleteSaleRecord / adjustInventoryQuantity(+1) as compensations.
    ====================================================================================== */
 
 /**
- * Create a Sales row with linked fields + decrement Inventory.Quantity by 1.
- * - Uses Inventory VAT type only to decide the Sales VAT: VAT0 → VAT21 (buyer is NL).
+ * Read the Inventory record and build the Sales row for it (no writes).
+ * - Sales VAT + price come from the VAT rules (lib/vat.js): seller country × buyer country × Inventory VAT type.
+ * - `finalPrice` is in the seller's `currency`; Final Selling Price is stored in EUR next to the original.
+ *   `basePrice` (EUR, optional) is used for it as is instead of converting `finalPrice` back.
  * - Does NOT change VAT on the Inventory record.
  */
-export async function createSaleAndDecrement({ inventoryId, orderRecId, finalPrice }) {
+export async function prepareSale({ inventoryId, ...sale }) {
   // 1) Read Inventory
   const inv = await airtableRequest(
     "GET",
     `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`
   );
+  return saleFromInventory(inv, sale);
+}
+
+/** prepareSale on an Inventory record already read ({ id, fields }). */
+export function saleFromInventory(inv, { orderRecId, finalPrice, basePrice = null, currency = BASE_CURRENCY, buyerCountry = null, bookingKey = null }) {
+  const inventoryId = inv.id;
   const f = inv.fields || {};
 
   const productName  = toText(f[FIELD_INV_PRODUCT_NAME]) || "";
   const size         = toText(f[FIELD_INV_SIZE]) || "";
   const brand        = toText(f[FIELD_INV_BRAND]) || "";
 
-  // --- VAT from Inventory (single-select *name*), do NOT uppercase here
-  const invVatRaw = toText(f[FIELD_INV_VAT_TYPE]) || ""; // "Margin" | "VAT0" | "VAT21"
-
-  // Canonicalize to your exact Sales options
-  function normalizeVatOption(x) {
-    const s = String(x || "").trim().toUpperCase();
-    if (s === "MARGIN") return "Margin";
-    if (s === "VAT21" || s === "21") return "VAT21";
-    if (s === "VAT0"  || s === "0"  || s === "ZERO") return "VAT0";
-    return "Margin"; // safe fallback
-  }
-  const invVatCanon = normalizeVatOption(invVatRaw); // -> "Margin" | "VAT0" | "VAT21"
-
+  // --- VAT from Inventory (single-select *name*) + seller country → rules engine
+  const invVatRaw     = toText(f[FIELD_INV_VAT_TYPE]) || ""; // "Margin" | "VAT0" | "VAT21"
   const sellerCountry = toText(f[FIELD_INV_SELLER_COUNTRY]) || "";
-  const isNL = (s) => {
-    const t = String(s || "").trim().toLowerCase();
-    return t === "nl" || t === "nld" || t === "nederland" || t === "netherlands" || t === "the netherlands"
-        || t.includes("neder") || t.includes("nether") || t.includes("🇳🇱");
-  };
 
   // Linked record IDs (required)
   const skuLinkId     = getFirstLinkedId(f[FIELD_INV_LINK_SKU_MASTER]);
@@ -261,51 +959,181 @@ export async function createSaleAndDecrement({ inventoryId, orderRecId, finalPri
 
   if (!sellerLinkId) throw new Error(`Inventory ${inventoryId}: Linked Seller is empty/not a link.`);
   if (!skuLinkId)    throw new Error(`Inventory ${inventoryId}: SKU Master is empty/not a link.`);
+  // Last line of defence; validateConfirm() normally catches this before we get here
+  if ((toNumber(f[FIELD_INV_QTY]) ?? 0) <= 0) throw new Error(`Inventory ${inventoryId}: Quantity is 0, not booking.`);
 
   // 2) Decide Sales VAT + final price
-  let vatTypeOut = invVatCanon;
-  let finalOut   = round2(finalPrice);
-
-  // Rule: seller NL & inventory VAT0 → output VAT21 and gross-up price by 21%
-  if (invVatCanon === "VAT0" && isNL(sellerCountry)) {
-    vatTypeOut = "VAT21";
-    finalOut   = round2(finalPrice * 1.21);
-  }
-
-  // Optional guard
-  if (!["Margin", "VAT0", "VAT21"].includes(vatTypeOut)) {
-    throw new Error(`Normalized VAT Type invalid: ${vatTypeOut}`);
-  }
+  const vat = resolveVat({ vatType: invVatRaw, sellerCountry, buyerCountry });
+  const vatTypeOut = vat.saleVatType;
+  const originalOut = round2(finalPrice * vat.multiplier);
+  const finalOut    = basePrice != null
+    ? round2(basePrice * vat.multiplier)
+    : convert(originalOut, currency, BASE_CURRENCY);
 
-  // 3) Create Sales row (note: single-select must be posted as { name: "Option" })
+  // 3) Build Sales row (note: single-select must be posted as { name: "Option" })
   const saleFields = {
     [FIELD_SALE_PRODUCT_NAME]: productName,
     [FIELD_SALE_SIZE]:         size,
     [FIELD_SALE_BRAND]:        brand,
     [FIELD_SALE_FINAL_PRICE]:  finalOut,
+    [FIELD_SALE_ORIGINAL_PRICE]: originalOut,
+    [FIELD_SALE_CURRENCY]:     currency,
+    [FIELD_SALE_FX_RATE]:      fxRate(currency, BASE_CURRENCY),
+    [FIELD_SALE_FX_AS_OF]:     ratesAsOf(),
     [FIELD_SALE_VAT_TYPE]:     vatTypeOut,          // <-- single-select expects a string
     [FIELD_SALE_SKU_LINK]:     [skuLinkId],
     [FIELD_SALE_SELLER_LINK]:  [sellerLinkId],
     [FIELD_SALE_ORDER_LINK]:   orderRecId ? [orderRecId] : undefined,
+    [FIELD_SALE_BOOKING_KEY]:  bookingKey || undefined,
   };
 
-  console.log("Creating Sale:", JSON.stringify(saleFields, null, 2));
+  return { saleFields, currentQty: toNumber(f[FIELD_INV_QTY]) ?? 0 };
+}
 
-  await airtableRequest(
+/** POST the Sales row; returns the new record id. */
+export async function createSaleRecord(saleFields) {
+  const rec = await airtableRequest(
     "POST",
     encodeURIComponent(AIRTABLE_TABLE_SALES),
     { fields: saleFields, typecast: true } // <-- keep this
   );
+  console.log(`Sale ${rec.id} created`);
+  return rec.id;
+}
 
-  // 4) Decrement Inventory.Quantity by 1
-  const currentQty = toNumber(f[FIELD_INV_QTY]) ?? 0;
-  const newQty = Math.max(0, currentQty - 1);
+export async function deleteSaleRecord(saleId) {
+  try {
+    await airtableRequest("DELETE", `${encodeURIComponent(AIRTABLE_TABLE_SALES)}/${saleId}`);
+  } catch (e) {
+    // A DELETE retried after a 5xx finds the row already gone
+    if (!/→ 404\b/.test(e.message)) throw e;
+  }
+}
 
-  await airtableRequest(
+/** Id of the Sales row a confirm created (by its booking key), or null. */
+export async function findSaleByBookingKey(bookingKey) {
+  if (!bookingKey) return null;
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_SALES), {
+    filterByFormula: `{${FIELD_SALE_BOOKING_KEY}}=${quote(bookingKey)}`,
+    maxRecords: 1,
+  });
+  return records[0]?.id ?? null;
+}
+
+export async function saleRecordExists(saleId) {
+  try {
+    await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_SALES)}/${saleId}`);
+    return true;
+  } catch (e) {
+    if (/→ 404\b/.test(e.message)) return false;
+    throw e;
+  }
+}
+
+/** The booked Sales row (null if it was deleted). */
+export async function getSaleRecord(saleId) {
+  try {
+    return mapSale(await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_SALES)}/${saleId}`));
+  } catch (e) {
+    if (/→ 404\b/.test(e.message)) return null;
+    throw e;
+  }
+}
+
+export function mapSale(r) {
+  const f = r.fields || {};
+  return {
+    id: r.id,
+    createdAt: r.createdTime || null,
+    productName: toText(f[FIELD_SALE_PRODUCT_NAME]),
+    size: toText(f[FIELD_SALE_SIZE]),
+    finalPrice: toNumber(f[FIELD_SALE_FINAL_PRICE]),
+    originalPrice: toNumber(f[FIELD_SALE_ORIGINAL_PRICE]),
+    currency: toText(f[FIELD_SALE_CURRENCY]) || BASE_CURRENCY,
+    vatType: toText(f[FIELD_SALE_VAT_TYPE]),
+    bookingKey: toText(f[FIELD_SALE_BOOKING_KEY]),
+    orderRecIds: (f[FIELD_SALE_ORDER_LINK] || []).map(x => (typeof x === "string" ? x : x?.id)).filter(Boolean),
+  };
+}
+
+/** Stock + owner of an Inventory record (null when it no longer exists). */
+export async function getInventoryState(inventoryId) {
+  try {
+    const { quantity, sellerLinkId, productName, size } =
+      mapInventory(await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`));
+    return { quantity, sellerLinkId, productName, size };
+  } catch (e) {
+    if (/→ 404\b/.test(e.message)) return null;
+    throw e;
+  }
+}
+
+export function mapInventory(r) {
+  const f = r.fields || {};
+  return {
+    recordId: r.id,
+    productName: toText(f[FIELD_INV_PRODUCT_NAME]),
+    size: toText(f[FIELD_INV_SIZE]),
+    brand: toText(f[FIELD_INV_BRAND]),
+    quantity: toNumber(f[FIELD_INV_QTY]) ?? 0,
+    vatType: toText(f[FIELD_INV_VAT_TYPE]),
+    askingPrice: toNumber(f[FIELD_INV_ASKING_PRICE]),
+    unavailable: !!f[FIELD_INV_UNAVAILABLE],
+    sellerLinkId: getFirstLinkedId(f[FIELD_INV_LINKED_SELLER]),
+  };
+}
+
+/**
+ * Inventory records linked to a seller ({ recordId, sellerId } from the Sellers table),
+ * matched on the linked record id. A formula on {Linked Seller} only sees the Sellers primary
+ * field, so Airtable filters on the FIELD_INV_SELLER_ID_LOOKUP lookup; the record id check
+ * drops rows whose Seller ID merely contains the one asked for.
+ */
+export async function listInventoryForSeller(seller) {
+  if (!seller?.recordId || !seller.sellerId) return [];
+  if (!FIELD_INV_SELLER_ID_LOOKUP) throw new Error("FIELD_INV_SELLER_ID_LOOKUP is not set");
+  const records = await airtableListAll(encodeURIComponent(AIRTABLE_TABLE_INVENTORY), {
+    filterByFormula:
+      `FIND(${quote(`,${seller.sellerId},`)}, "," & ARRAYJOIN({${FIELD_INV_SELLER_ID_LOOKUP}}, ",") & ",")`,
+    "sort[0][field]": FIELD_INV_PRODUCT_NAME,
+  });
+  return records.map(mapInventory).filter(x => x.sellerLinkId === seller.recordId);
+}
+
+export function inventoryUpdateFields({ quantity, askingPrice, unavailable } = {}) {
+  const fields = {};
+  if (quantity != null) fields[FIELD_INV_QTY] = Math.max(0, Math.floor(quantity));
+  if (askingPrice != null) fields[FIELD_INV_ASKING_PRICE] = round2(askingPrice);
+  if (unavailable != null) fields[FIELD_INV_UNAVAILABLE] = !!unavailable;
+  if (unavailable) fields[FIELD_INV_QTY] = 0;
+  return fields;
+}
+
+/**
+ * Seller self-service edit of one Inventory record. Only the given fields are written;
+ * `unavailable: true` also sets Quantity to 0. Returns the updated record.
+ */
+export async function updateInventoryRecord(inventoryId, changes = {}) {
+  const fields = inventoryUpdateFields(changes);
+  const rec = await airtableRequest(
     "PATCH",
     `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`,
-    { fields: { [FIELD_INV_QTY]: newQty } }
+    { fields, typecast: true }
   );
+  console.log(`Inventory ${inventoryId} updated`);
+  return mapInventory(rec);
+}
 
-  console.log(`✅ Sale created + Quantity decremented → newQty: ${newQty}`);
+/**
+ * Add `delta` to Inventory.Quantity (read-modify-write, never below 0).
+ * Returns { before, after }.
+ */
+export async function adjustInventoryQuantity(inventoryId, delta) {
+  const path = `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`;
+  const inv = await airtableRequest("GET", path);
+  const before = toNumber(inv.fields?.[FIELD_INV_QTY]) ?? 0;
+  const after = Math.max(0, before + delta);
+  await airtableRequest("PATCH", path, { fields: { [FIELD_INV_QTY]: after } });
+  console.log(`Inventory ${inventoryId} quantity adjusted`);
+  return { before, after };
 }
@@ -0,0 +1,147 @@
+// lib/booking.js
+// The confirm flow as a saga: create the sale, decrement stock, then mark the order
+// matched once it is filled. Every run is recorded in the Airtable "Booking Log".
+import crypto from "node:crypto";
+import { runSaga } from "./saga.js";
+import {
+  prepareSale,
+  createSaleRecord,
+  findSaleByBookingKey,
+  deleteSaleRecord,
+  adjustInventoryQuantity,
+  countSalesForOrder,
+  isOrderFilled,
+  setOrderMatchedStatus,
+  createBookingLog,
+  updateBookingLog,
+  getInventoryState,
+  getOrderState,
+  getSellerBySellerId,
+} from "./storage.js";
+
+const {
+  // Order statuses that mean "no more sales for this order" (empty status = open)
+  CLOSED_ORDER_STATUSES = "Matched,Processed External,Fulfilled,Cancelled,Closed",
+} = process.env;
+
+const closedStatuses = CLOSED_ORDER_STATUSES.split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+
+/** True if an order with this Fulfillment Status takes no more sales. */
+export const isClosedOrderStatus = (status) => closedStatuses.includes(String(status || "").toLowerCase());
+
+const bookingRecorder = {
+  start: (log) => createBookingLog({
+    orderRecId: log.context.orderRecId,
+    inventoryRecordId: log.context.inventoryRecordId,
+    sellerId: log.context.sellerId,
+    log,
+  }),
+  update: (id, patch) => updateBookingLog(id, patch),
+};
+
+export const bookingSteps = [
+  {
+    name: "prepareSale",
+    run: (ctx) => prepareSale({ inventoryId: ctx.inventoryRecordId, orderRecId: ctx.orderRecId, finalPrice: ctx.price, basePrice: ctx.basePrice, currency: ctx.currency, buyerCountry: ctx.buyerCountry, bookingKey: ctx.bookingKey }),
+  },
+  {
+    // The Sales row carries ctx.bookingKey (logged before the POST), so a sale whose POST
+    // landed without its response coming back can still be found
+    name: "createSale",
+    recordStart: true,
+    run: async (ctx, r) => {
+      try {
+        return { saleId: await createSaleRecord(r.prepareSale.saleFields) };
+      } catch (e) {
+        const saleId = await findSaleByBookingKey(ctx.bookingKey).catch(() => null);
+        if (saleId) return { saleId };
+        throw e;
+      }
+    },
+    compensate: async (_ctx, res) => deleteSaleRecord(res.saleId),
+  },
+  {
+    name: "decrementInventory",
+    run: (ctx) => adjustInventoryQuantity(ctx.inventoryRecordId, -1),
+    compensate: (ctx, res) => (res.before > 0 ? adjustInventoryQuantity(ctx.inventoryRecordId, +1) : null),
+  },
+  {
+    // Past this point the sale stands; a failure here is left for the reconciler
+    name: "markMatched",
+    onFailure: "repair",
+    run: async (ctx) => {
+      const filled = ctx.quantity > 1 ? await countSalesForOrder(ctx.orderRecId) : 1;
+      if (filled >= ctx.quantity) await setOrderMatchedStatus(ctx.orderRecId, "Matched");
+      return { filled, matched: filled >= ctx.quantity };
+    },
+  },
+];
+
+/**
+ * Checks before anything is booked: the order is still open, the inventory record
+ * belongs to the seller on the button, and it has stock.
+ * Returns { ok: true } or { ok: false, code, detail } — the seller sees `refused.<code>` from
+ * the message catalog, `detail` goes to the log and the staff alert.
+ */
+export async function validateConfirm({ orderRecId, sellerId, inventoryRecordId }) {
+  const order = await getOrderState(orderRecId);
+  if (!order.exists || isClosedOrderStatus(order.status)) {
+    return {
+      ok: false,
+      code: "order_closed",
+      detail: order.exists ? `order status "${order.status}"` : "order record not found",
+    };
+  }
+
+  const inv = await getInventoryState(inventoryRecordId);
+  if (!inv) {
+    return {
+      ok: false,
+      code: "inventory_missing",
+      detail: `inventory ${inventoryRecordId} not found`,
+    };
+  }
+
+  // Linked Seller holds a Sellers record id; the button carries the human Seller ID
+  const seller = /^rec/.test(String(sellerId)) ? { recordId: sellerId } : await getSellerBySellerId(sellerId);
+  if (!inv.sellerLinkId || !seller || seller.recordId !== inv.sellerLinkId) {
+    return {
+      ok: false,
+      code: "not_owner",
+      detail: `inventory ${inventoryRecordId} is linked to ${inv.sellerLinkId || "nobody"}, seller ${sellerId} is ${seller?.recordId || "unknown"}`,
+    };
+  }
+
+  if (!(inv.quantity > 0)) {
+    return {
+      ok: false,
+      code: "out_of_stock",
+      detail: `inventory ${inventoryRecordId} quantity ${inv.quantity}`,
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Book one pair for an order. Throws (after compensating) if the sale could not be booked;
+ * an order that is already filled throws with `code: "order_filled"` before anything is written.
+ * `price` is in `currency`; `basePrice` is the same price in EUR when it is known exactly (the
+ * offered price), so it is booked without converting back. Returns { saleId, filled, matched, needsRepair }.
+ */
+export async function bookSale({ orderRecId, sellerId, inventoryRecordId, price, basePrice = null, currency = "EUR", quantity = 1, buyerCountry = null }) {
+  // Last guard after the claim: a claim taken over after its TTL must not oversell
+  if (await isOrderFilled(orderRecId, quantity)) {
+    throw Object.assign(new Error(`Order ${orderRecId} already has ${quantity} sale(s)`), { code: "order_filled" });
+  }
+  const ctx = { orderRecId, sellerId, inventoryRecordId, price, basePrice, currency, quantity, buyerCountry, bookingKey: crypto.randomUUID() };
+  const { status, results } = await runSaga("confirm", bookingSteps, ctx, bookingRecorder);
+  const mark = results.markMatched;
+  return {
+    saleId: results.createSale?.saleId,
+    // markMatched failed: we still know this pair was sold
+    filled: mark?.filled ?? null,
+    matched: mark?.matched ?? false,
+    needsRepair: status === "Needs Repair",
+  };
+}
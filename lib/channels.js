@@ -0,0 +1,169 @@
+// lib/channels.js
+// One resolver for "seller category → #channel". The guild's channel list is fetched once
+// and then kept fresh from the gateway's ChannelCreate/Update/Delete events, instead of a
+// full GET /guilds/:id/channels per message. Creation is serialized per seller so two
+// simultaneous sends can't both create the same category.
+import { Events } from "discord.js";
+import { discordRequest } from "./discord-rest.js";
+import { SANDBOX } from "./sandbox.js";
+
+const {
+  DISCORD_GUILD_ID,
+  DISCORD_CHANNEL_ID,
+  ALLOW_CHANNEL_CREATE,
+  CHANNEL_KINDS,                       // JSON: extra kinds, e.g. {"scorecards":"scorecards"}
+  CHANNEL_INDEX_TTL_SECONDS = "600",   // re-list when no gateway is keeping the index fresh
+} = process.env;
+
+const CATEGORY = 4;
+const TEXT = 0;
+
+const kinds = {
+  offer: "offer-requests",
+  confirm: "confirmation-requests",
+  "deal-updates": "deal-updates",
+};
+try {
+  Object.assign(kinds, CHANNEL_KINDS ? JSON.parse(CHANNEL_KINDS) : {});
+} catch (e) {
+  console.error("CHANNEL_KINDS is not valid JSON, ignoring:", e.message);
+}
+
+// The sandbox starts with an empty guild, so it always creates
+const canCreate = () => SANDBOX || String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true";
+
+/* -------------------- index -------------------- */
+const index = new Map(); // channel id → { id, type, name, parent_id }
+let loadedAt = 0;
+let loading = null;
+let live = false;        // true once gateway events keep the index up to date
+
+const norm = (c) => ({
+  id: c.id,
+  type: c.type,
+  name: c.name,
+  parent_id: c.parent_id ?? c.parentId ?? null,
+});
+
+async function ensureIndex() {
+  const fresh = live || Date.now() - loadedAt < Number(CHANNEL_INDEX_TTL_SECONDS) * 1000;
+  if (loadedAt && fresh) return;
+  loading ??= discordRequest("GET", `/guilds/${DISCORD_GUILD_ID}/channels`, null, "list channels")
+    .then((chans) => {
+      index.clear();
+      for (const c of chans) index.set(c.id, norm(c));
+      loadedAt = Date.now();
+    })
+    .finally(() => { loading = null; });
+  await loading;
+}
+
+/** Drop the cached list; the next lookup re-fetches it. */
+export function invalidateChannelIndex() {
+  loadedAt = 0;
+}
+
+/** Keep the index in sync with the gateway (call once with the Client, before login). */
+export function attachChannelIndex(client) {
+  const mine = (c) => c?.guildId === DISCORD_GUILD_ID || c?.guild?.id === DISCORD_GUILD_ID;
+  client.on(Events.ChannelCreate, (c) => { if (mine(c) && loadedAt) index.set(c.id, norm(c)); });
+  client.on(Events.ChannelUpdate, (_old, c) => { if (mine(c) && loadedAt) index.set(c.id, norm(c)); });
+  client.on(Events.ChannelDelete, (c) => { if (mine(c)) index.delete(c.id); });
+  // After a reconnect we may have missed events: re-list once
+  client.on(Events.ShardResume, invalidateChannelIndex);
+  // Only a logged-in client gets these events (not in DISCORD_INTERACTIONS=http or the sandbox)
+  client.once(Events.ClientReady, () => { live = true; });
+}
+
+const findCategory = (name) => {
+  const wanted = String(name || "").trim().toLowerCase();
+  for (const c of index.values()) {
+    if (c.type === CATEGORY && String(c.name).trim().toLowerCase() === wanted) return c;
+  }
+  return null;
+};
+const findChild = (parentId, name) => {
+  for (const c of index.values()) {
+    if (c.type === TEXT && c.parent_id === parentId && c.name === name) return c;
+  }
+  return null;
+};
+
+async function createChannel({ name, type, parent_id }) {
+  const created = await discordRequest(
+    "POST", `/guilds/${DISCORD_GUILD_ID}/channels`, { name, type, parent_id }, "create channel"
+  );
+  index.set(created.id, norm(created)); // don't wait for the gateway echo
+  return created;
+}
+
+/* -------------------- per-seller serialization -------------------- */
+const locks = new Map(); // seller key → tail promise
+function withSellerLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+/**
+ * Resolve (and optionally create) the `kind` channel under the seller's category.
+ * Known kinds: offer, confirm, deal-updates + anything in CHANNEL_KINDS.
+ * Returns { channelId, created }.
+ */
+export async function resolveSellerChannel(sellerNameOrId, kind) {
+  const target = kinds[kind];
+  if (!target) throw new Error(`Unknown channel kind "${kind}" (known: ${Object.keys(kinds).join(", ")})`);
+  if (!DISCORD_GUILD_ID) {
+    if (!DISCORD_CHANNEL_ID) throw new Error("Set DISCORD_CHANNEL_ID or DISCORD_GUILD_ID");
+    return { channelId: DISCORD_CHANNEL_ID, created: false };
+  }
+
+  await ensureIndex();
+  const key = String(sellerNameOrId || "").trim().toLowerCase();
+
+  // Fast path: no lock needed when everything already exists
+  const cat = findCategory(sellerNameOrId);
+  const existing = cat && findChild(cat.id, target);
+  if (existing) return { channelId: existing.id, created: false };
+
+  return withSellerLock(key, async () => {
+    let categoryId = findCategory(sellerNameOrId)?.id;
+    if (!categoryId) {
+      if (!canCreate()) throw new Error(`Missing category "${sellerNameOrId}"`);
+      categoryId = (await createChannel({ name: sellerNameOrId, type: CATEGORY })).id;
+    }
+    const ch = findChild(categoryId, target);
+    if (ch) return { channelId: ch.id, created: false };
+    if (!canCreate()) throw new Error(`Missing channel "${target}" under "${sellerNameOrId}"`);
+    const created = await createChannel({ name: target, type: TEXT, parent_id: categoryId });
+    return { channelId: created.id, created: true };
+  });
+}
+
+/** Name of the category a channel sits in (the seller's category), or null. */
+export async function categoryNameOf(channelId) {
+  if (!channelId || !DISCORD_GUILD_ID) return null;
+  await ensureIndex();
+  const ch = index.get(channelId);
+  if (!ch) return null;
+  if (ch.type === CATEGORY) return ch.name;
+  return index.get(ch.parent_id)?.name ?? null;
+}
+
+/**
+ * What is missing for a seller without creating anything (used by the self-check).
+ * Returns { category: boolean, missing: [channel names], creatable }.
+ */
+export async function inspectSellerChannels(sellerNameOrId) {
+  await ensureIndex();
+  const cat = findCategory(sellerNameOrId);
+  const names = [...new Set(Object.values(kinds))];
+  return {
+    category: !!cat,
+    missing: cat ? names.filter(n => !findChild(cat.id, n)) : names,
+    creatable: canCreate(),
+  };
+}
@@ -0,0 +1,200 @@
+// lib/claims.js
+// Cross-process "who gets to book this order" claim, taken right before a sale is created.
+// An order with quantity N has N slots; each slot has one winner, everyone else gets a "lost"
+// result. A slot whose sale was booked is marked sold and never freed. Background jobs that
+// every instance runs (the Offer Queue runner) use the same claim with a single slot.
+//
+// Backends (CLAIM_BACKEND):
+//   storage — (default) one row per claim attempt in the "Order Claims" table of the storage
+//             backend, shared by every instance. A claimant writes its own row, then reads
+//             all rows of the slot back: it wins only when no other live row was created
+//             before or at the same time as its own, and deletes its row otherwise. Rows are
+//             never overwritten, so a delayed write (an Airtable 429 can hold a call for 30 s)
+//             can only make its writer lose, never take a slot someone else already won.
+//   file    — one lock file per order slot in CLAIM_DIR, created with O_EXCL. Atomic, but only
+//             between processes that share one disk (local runs without a storage table).
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import crypto from "node:crypto";
+import { createClaimRecord, listClaimRecords, markClaimRecordSold, deleteClaimRecord } from "./storage.js";
+
+const {
+  CLAIM_BACKEND = "storage",
+  CLAIM_DIR = path.join(os.tmpdir(), "consignment-claims"),
+  CLAIM_TTL_SECONDS = "300", // an unsold claim older than this can be taken over
+} = process.env;
+
+// token = "<owner>@<iso time>", suffixed with "#sold" once the sale is booked
+const SOLD = "#sold";
+const makeToken = (owner) => `${owner}@${new Date().toISOString()}`;
+const isSold = (token) => String(token || "").endsWith(SOLD);
+const tokenAge = (token) => {
+  const at = Date.parse(String(token || "").split("@").pop());
+  return Number.isNaN(at) ? Infinity : Date.now() - at;
+};
+const isStale = (ms) => ms > Number(CLAIM_TTL_SECONDS) * 1000;
+// A slot is free when nobody holds it, or its holder died before booking
+const isFree = (token) => !token || (!isSold(token) && isStale(tokenAge(token)));
+
+/* -------------------- storage backend -------------------- */
+const slotKey = (key, slot) => `${key}#${slot}`;
+const isLive = (c) => c.sold || !isStale(Date.now() - Date.parse(c.createdTime));
+
+const storageBackend = {
+  async claim(key, slot, owner) {
+    const token = makeToken(owner);
+    const mine = await createClaimRecord({ key: slotKey(key, slot), token });
+    const others = (await listClaimRecords(slotKey(key, slot))).filter(c => c.id !== mine.id);
+
+    // Dead claims are ignored; clearing them is best effort (another claimant may beat us to it)
+    for (const c of others.filter(c => !isLive(c))) await deleteClaimRecord(c.id).catch(() => {});
+
+    const mineAt = Date.parse(mine.createdTime);
+    const ahead = others.filter(c => isLive(c) && Date.parse(c.createdTime) <= mineAt);
+    if (!ahead.length) return { won: true, token, recordId: mine.id };
+
+    await deleteClaimRecord(mine.id).catch(e => console.warn("claim cleanup warn:", e.message));
+    // A row from the same millisecond makes both claimants back off and try again
+    const tie = ahead.every(c => !c.sold && Date.parse(c.createdTime) === mineAt);
+    const first = ahead.sort((a, b) => Date.parse(a.createdTime) - Date.parse(b.createdTime))[0];
+    return { won: false, holder: first.sold ? first.token + SOLD : first.token, retry: tie };
+  },
+  async markSold(key, slot, claim) {
+    await markClaimRecordSold(claim.recordId);
+  },
+  async release(key, slot, claim) {
+    await deleteClaimRecord(claim.recordId);
+  },
+};
+
+/* -------------------- file backend -------------------- */
+// Creating a lock is an O_EXCL create. Every change to an existing lock (takeover, sold,
+// release) runs under the slot's guard file and re-reads the holder first, so it can never
+// remove or overwrite a lock that someone else has just created.
+const GUARD_STALE_MS = 10_000; // a guard is held for a few ms; older ones belong to a dead process
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const lockPath = (key, slot) =>
+  path.join(CLAIM_DIR, `${String(key).replace(/[^\w.-]/g, "_")}#${slot}.lock`);
+const readLock = (file) => fs.readFile(file, "utf8").catch(() => null);
+
+async function withGuard(file, fn) {
+  const guard = `${file}.guard`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fs.writeFile(guard, "", { flag: "wx" });
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const st = await fs.stat(guard).catch(() => null);
+      if (st && Date.now() - st.mtimeMs > GUARD_STALE_MS) await fs.unlink(guard).catch(() => {});
+      else await sleep(20);
+      continue;
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(guard).catch(() => {});
+    }
+  }
+  throw new Error(`Claim guard ${guard} is busy`);
+}
+
+// Replace the lock's content in one step, so readers never see a half-written token
+async function rewriteLock(file, token) {
+  const tmp = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmp, token);
+  await fs.rename(tmp, file);
+}
+
+const fileBackend = {
+  async claim(key, slot, owner) {
+    await fs.mkdir(CLAIM_DIR, { recursive: true });
+    const file = lockPath(key, slot);
+    const token = makeToken(owner);
+    const tryCreate = async () => {
+      try {
+        await fs.writeFile(file, token, { flag: "wx" });
+        return true;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        return false;
+      }
+    };
+    if (await tryCreate()) return { won: true, token };
+
+    // An empty lock is still being written by its creator, so it is never taken over
+    const holder = await readLock(file);
+    if (holder && isFree(holder)) {
+      // Take over a dead claim: remove it only if it still is the one we saw, then race for
+      // the exclusive create once more
+      const tookOver = await withGuard(file, async () => {
+        if ((await readLock(file)) !== holder) return false;
+        await fs.unlink(file).catch(() => {});
+        return tryCreate();
+      });
+      if (tookOver) return { won: true, token };
+    }
+    return { won: false, holder: holder ?? (await readLock(file)) };
+  },
+  async markSold(key, slot, { token }) {
+    const file = lockPath(key, slot);
+    await withGuard(file, async () => {
+      if ((await readLock(file)) === token) await rewriteLock(file, token + SOLD);
+    });
+  },
+  async release(key, slot, { token }) {
+    const file = lockPath(key, slot);
+    await withGuard(file, async () => {
+      if ((await readLock(file)) === token) await fs.unlink(file).catch(() => {});
+    });
+  },
+};
+
+const backends = { storage: storageBackend, file: fileBackend };
+const backend = backends[CLAIM_BACKEND];
+if (!backend) throw new Error(`Unknown CLAIM_BACKEND "${CLAIM_BACKEND}" (use ${Object.keys(backends).join(" | ")})`);
+
+export const claimBackend = CLAIM_BACKEND;
+
+const INSTANCE_ID = process.env.RENDER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+/**
+ * Try to take one of the `quantity` booking slots of an order.
+ * Returns { won: true, slot, token } for a winner, { won: false, holder } when every slot is taken.
+ * A few rounds are tried because a claim can bounce without anyone holding the slot (a tie, or
+ * a dead lock file taken over by someone else who then gave it up).
+ */
+export async function claimOrder(orderRecId, { quantity = 1, who = "" } = {}) {
+  const owner = `${INSTANCE_ID}:${who}:${crypto.randomBytes(3).toString("hex")}`;
+  let holder = null;
+  for (let round = 0; round < 3; round++) {
+    let bounced = false;
+    for (let slot = 1; slot <= Math.max(1, quantity); slot++) {
+      const r = await backend.claim(orderRecId, slot, owner);
+      if (r.won) return { won: true, slot, token: r.token, recordId: r.recordId };
+      if (r.retry || isFree(r.holder)) bounced = true; // slot may still be open
+      else holder = r.holder;
+    }
+    if (!bounced) break; // every slot is genuinely held
+  }
+  return { won: false, holder };
+}
+
+/** Mark a won slot as booked so it can never be taken over. */
+export async function markClaimSold(orderRecId, claim) {
+  if (!claim?.token) return;
+  await backend.markSold(orderRecId, claim.slot, claim);
+}
+
+/** Give a claim back (only if we still hold it), e.g. when booking failed. */
+export async function releaseOrderClaim(orderRecId, claim) {
+  if (!claim?.token) return;
+  await backend.release(orderRecId, claim.slot, claim);
+}
+
+/** One-winner claim for a unit of background work (e.g. `queue:<record id>`). */
+export const claimJob = (key, who) => claimOrder(key, { who });
+/** The job is done (or settled): its claim is never freed. */
+export const finishJob = (key, claim) => markClaimSold(key, claim);
+/** Hand an unfinished job back, e.g. after an error. */
+export const releaseJob = (key, claim) => releaseOrderClaim(key, claim);
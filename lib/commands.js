@@ -0,0 +1,310 @@
+// lib/commands.js
+// Seller slash commands, registered on the guild at startup:
+//   /my-offers — the caller's open offer messages, with jump links
+//   /my-stock  — the caller's Inventory records (product, size, quantity, VAT type)
+//   /stock update — change Quantity / asking price / availability of one Inventory record
+//                   (autocomplete over the caller's records); stock 0 closes its open offers
+// List answers are ephemeral, PAGE_SIZE rows per page with Previous/Next buttons. Pages are
+// re-read on every click, so the custom_id only carries command, seller and page.
+import { Events } from "discord.js";
+import { discordRequest } from "./discord-rest.js";
+import {
+  listOpenOfferMessagesForSeller,
+  listInventoryForSeller,
+  getOrderState,
+  getInventoryState,
+  updateInventoryRecord,
+} from "./storage.js";
+import { closeOffersForInventory } from "./offers.js";
+import { resolveCallerSeller, getSellerLanguage, getSellerCurrency } from "./sellers.js";
+import { isClosedOrderStatus } from "./booking.js";
+import { BASE_CURRENCY, convert, formatMoney } from "./currency.js";
+import { t } from "./i18n.js";
+
+const {
+  DISCORD_GUILD_ID,
+  SLASH_COMMANDS = "on", // "off" skips registration (commands already registered stay until removed)
+} = process.env;
+
+const PAGE_SIZE = 10;
+const AUTOCOMPLETE_CACHE_MS = 60_000; // one Airtable read per caller per minute while typing
+const AUTOCOMPLETE_DEADLINE_MS = 2_000; // Discord drops autocomplete answers after 3 s
+const PAGER = "cmdpage"; // custom_id: cmdpage|<command>|<sellerId>|<page>
+
+export const COMMANDS = [
+  {
+    name: "my-offers",
+    type: 1,
+    description: "List your open offers",
+    description_localizations: { nl: "Toon je open biedingen", de: "Zeige deine offenen Angebote" },
+  },
+  {
+    name: "my-stock",
+    type: 1,
+    description: "List your stock with us",
+    description_localizations: { nl: "Toon je voorraad bij ons", de: "Zeige deinen Bestand bei uns" },
+  },
+  {
+    name: "stock",
+    type: 1,
+    description: "Manage your stock",
+    description_localizations: { nl: "Beheer je voorraad", de: "Verwalte deinen Bestand" },
+    options: [{
+      type: 1, // subcommand
+      name: "update",
+      description: "Change quantity, asking price or availability of an item",
+      description_localizations: {
+        nl: "Wijzig aantal, vraagprijs of beschikbaarheid van een item",
+        de: "Menge, Wunschpreis oder Verfügbarkeit eines Artikels ändern",
+      },
+      options: [
+        {
+          type: 3, name: "item", required: true, autocomplete: true,
+          description: "Start typing the product name",
+          description_localizations: { nl: "Begin de productnaam te typen", de: "Tippe den Produktnamen ein" },
+        },
+        {
+          type: 4, name: "quantity", min_value: 0, max_value: 999,
+          description: "New quantity (0 = out of stock)",
+          description_localizations: { nl: "Nieuw aantal (0 = uitverkocht)", de: "Neue Menge (0 = ausverkauft)" },
+        },
+        {
+          // In the seller's own currency (Sellers `Currency`), stored in EUR
+          type: 10, name: "price", min_value: 0.01,
+          description: "New asking price, in your currency",
+          description_localizations: { nl: "Nieuwe vraagprijs, in je eigen valuta", de: "Neuer Wunschpreis, in deiner Währung" },
+        },
+        {
+          type: 5, name: "unavailable",
+          description: "True = not available (quantity becomes 0)",
+          description_localizations: {
+            nl: "True = niet beschikbaar (aantal wordt 0)",
+            de: "True = nicht verfügbar (Menge wird 0)",
+          },
+        },
+      ],
+    }],
+  },
+];
+
+const jumpLink = (m) => `https://discord.com/channels/${DISCORD_GUILD_ID}/${m.channelId}/${m.messageId}`;
+
+// Open = row not expired AND its order still takes sales (one status read per order)
+async function loadOpenOffers(seller) {
+  const rows = await listOpenOfferMessagesForSeller(seller.sellerId);
+  const orderIds = [...new Set(rows.map(r => r.orderRecId).filter(Boolean))];
+  const states = new Map(await Promise.all(orderIds.map(async id => [id, await getOrderState(id)])));
+  return rows
+    .filter(r => {
+      const st = states.get(r.orderRecId);
+      return st?.exists && !isClosedOrderStatus(st.status);
+    })
+    .sort((a, b) => String(a.expiresAt || "9").localeCompare(String(b.expiresAt || "9")));
+}
+
+const lists = {
+  "my-offers": {
+    title: "commands.myOffersTitle",
+    empty: "commands.myOffersEmpty",
+    load: loadOpenOffers,
+    line: (lang, m) => t(lang, "commands.offerLine", {
+      order: m.orderRecId,
+      link: jumpLink(m),
+      price: formatMoney(m.counterPrice ?? m.offerPrice, m.currency),
+      expires: m.expiresAt ? `<t:${Math.floor(new Date(m.expiresAt).getTime() / 1000)}:R>` : t(lang, "commands.never"),
+    }),
+  },
+  "my-stock": {
+    title: "commands.myStockTitle",
+    empty: "commands.myStockEmpty",
+    load: listInventoryForSeller,
+    line: (lang, inv) => t(lang, "commands.stockLine", {
+      productName: inv.productName || "—",
+      size: inv.size || "—",
+      quantity: inv.quantity,
+      vatType: inv.vatType || "—",
+    }),
+  },
+};
+
+/** Buttons owned by this module (the offer button handler must leave them alone). */
+export const isCommandButton = (customId) => String(customId).startsWith(`${PAGER}|`);
+
+function renderPage(command, seller, items, page, lang) {
+  const spec = lists[command];
+  const pages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const slice = items.slice(p * PAGE_SIZE, (p + 1) * PAGE_SIZE);
+
+  const embed = {
+    title: t(lang, spec.title, { sellerId: seller.sellerId }),
+    description: slice.length ? slice.map(x => spec.line(lang, x)).join("\n") : t(lang, spec.empty),
+    color: 0x3498db,
+    footer: { text: t(lang, "commands.page", { page: p + 1, pages, total: items.length }) },
+  };
+  const pager = (label, target, disabled) => ({
+    type: 2, style: 2, label, disabled,
+    custom_id: [PAGER, command, seller.sellerId, target].join("|"),
+  });
+  const components = pages > 1 ? [{
+    type: 1,
+    components: [
+      pager(t(lang, "commands.prev"), p - 1, p === 0),
+      pager(t(lang, "commands.next"), p + 1, p >= pages - 1),
+    ],
+  }] : [];
+  return { embeds: [embed], components };
+}
+
+const memberRoleIds = (interaction) => {
+  const roles = interaction.member?.roles;
+  return Array.isArray(roles) ? roles : [...(roles?.cache?.keys?.() || [])];
+};
+
+async function answer(interaction, command, page, expectedSellerId = null) {
+  const { seller, reason } = await resolveCallerSeller({
+    userId: interaction.user?.id,
+    roleIds: memberRoleIds(interaction),
+    channelId: interaction.channelId,
+  });
+  const lang = (seller && await getSellerLanguage(seller.sellerId)) || interaction.locale;
+  if (!seller || (expectedSellerId && seller.sellerId !== expectedSellerId)) {
+    return interaction.editReply({ content: t(lang, reason || "commands.noSeller"), embeds: [], components: [] });
+  }
+  const items = await lists[command].load(seller);
+  return interaction.editReply({ content: "", ...renderPage(command, seller, items, page, lang) });
+}
+
+/* -------------------- /stock update -------------------- */
+const autocompleteCache = new Map(); // `${userId}:${channelId}` → { at, seller, items }
+const autocompleteLoads = new Map(); // same key → the read in flight
+
+function loadCallerInventory(interaction, key) {
+  if (!autocompleteLoads.has(key)) {
+    const load = (async () => {
+      const { seller } = await resolveCallerSeller({
+        userId: interaction.user?.id,
+        roleIds: memberRoleIds(interaction),
+        channelId: interaction.channelId,
+      });
+      const entry = { at: Date.now(), seller, items: seller ? await listInventoryForSeller(seller) : [] };
+      autocompleteCache.set(key, entry);
+      return entry;
+    })().finally(() => autocompleteLoads.delete(key));
+    load.catch(() => {}); // seen by the caller that waits for it, or dropped after its deadline
+    autocompleteLoads.set(key, load);
+  }
+  return autocompleteLoads.get(key);
+}
+
+// A read slower than the deadline keeps running and fills the cache for the next keystroke;
+// meanwhile the caller gets the previous (stale) list, or nothing
+async function callerInventory(interaction) {
+  const key = `${interaction.user?.id}:${interaction.channelId}`;
+  const hit = autocompleteCache.get(key);
+  if (hit && Date.now() - hit.at < AUTOCOMPLETE_CACHE_MS) return hit;
+  let timer;
+  const deadline = new Promise(r => { timer = setTimeout(r, AUTOCOMPLETE_DEADLINE_MS, null); });
+  const entry = await Promise.race([loadCallerInventory(interaction, key), deadline]).finally(() => clearTimeout(timer));
+  return entry ?? hit ?? { items: [] };
+}
+
+async function autocompleteItem(interaction) {
+  const { items } = await callerInventory(interaction);
+  const q = String(interaction.options.getFocused() || "").toLowerCase();
+  const choices = items
+    .filter(inv => !q || `${inv.productName} ${inv.size}`.toLowerCase().includes(q))
+    .slice(0, 25) // Discord's limit
+    .map(inv => ({
+      name: `${inv.productName || "—"} · ${inv.size || "—"} · ${inv.quantity}`.slice(0, 100),
+      value: inv.recordId,
+    }));
+  await interaction.respond(choices);
+}
+
+async function updateStock(interaction) {
+  const { seller, reason } = await resolveCallerSeller({
+    userId: interaction.user?.id,
+    roleIds: memberRoleIds(interaction),
+    channelId: interaction.channelId,
+  });
+  const lang = (seller && await getSellerLanguage(seller.sellerId)) || interaction.locale;
+  if (!seller) return interaction.editReply(t(lang, reason));
+
+  const o = interaction.options;
+  const itemId = o.getString("item");
+  const price = o.getNumber("price");
+  const currency = price == null ? BASE_CURRENCY : await getSellerCurrency(seller.sellerId);
+  const change = {
+    quantity: o.getInteger("quantity"),
+    askingPrice: convert(price, currency, BASE_CURRENCY),
+    unavailable: o.getBoolean("unavailable"),
+  };
+  if (Object.values(change).every(v => v == null)) return interaction.editReply(t(lang, "commands.stockNothing"));
+
+  // Free text instead of an autocomplete pick, or someone else's record
+  const inv = /^rec\w+$/.test(itemId) ? await getInventoryState(itemId) : null;
+  if (!inv || inv.sellerLinkId !== seller.recordId) return interaction.editReply(t(lang, "commands.stockNotFound"));
+
+  const updated = await updateInventoryRecord(itemId, change);
+  for (const [k, v] of autocompleteCache) {
+    if (v.seller?.sellerId === seller.sellerId) autocompleteCache.delete(k);
+  }
+  console.log(`/stock update by ${interaction.user?.tag} (${seller.sellerId}) on ${itemId}`);
+
+  const lines = [t(lang, "commands.stockUpdated", { productName: updated.productName || "—", size: updated.size || "—" })];
+  if (change.quantity != null || change.unavailable) lines.push(t(lang, "commands.stockQuantity", { quantity: updated.quantity }));
+  if (change.askingPrice != null) {
+    const shown = currency === BASE_CURRENCY
+      ? formatMoney(updated.askingPrice)
+      : `${formatMoney(price, currency)} (${formatMoney(updated.askingPrice)})`;
+    lines.push(t(lang, "commands.stockPrice", { price: shown }));
+  }
+  if (change.unavailable != null) lines.push(t(lang, change.unavailable ? "commands.stockUnavailable" : "commands.stockAvailable"));
+
+  if (updated.quantity === 0) {
+    const count = await closeOffersForInventory(itemId);
+    if (count) lines.push(t(lang, "commands.offersClosed", { count }));
+  }
+  return interaction.editReply(lines.join("\n"));
+}
+
+/** Overwrite the guild's commands with COMMANDS (idempotent). */
+export async function registerCommands(applicationId) {
+  if (String(SLASH_COMMANDS).toLowerCase() === "off" || !DISCORD_GUILD_ID) return;
+  await discordRequest("PUT", `/applications/${applicationId}/guilds/${DISCORD_GUILD_ID}/commands`, COMMANDS, "register commands");
+  console.log(`✅ Registered /${COMMANDS.map(c => c.name).join(", /")}`);
+}
+
+/** Answer slash commands and their pager buttons (call once with the Client). */
+export function attachCommands(client) {
+  client.once(Events.ClientReady, (c) => {
+    registerCommands(c.application.id).catch(e => console.warn("registerCommands warn:", e.message));
+  });
+
+  client.on(Events.InteractionCreate, async (interaction) => {
+    try {
+      if (interaction.isAutocomplete() && interaction.commandName === "stock") {
+        await autocompleteItem(interaction);
+      } else if (interaction.isChatInputCommand() && interaction.commandName === "stock") {
+        await interaction.deferReply({ ephemeral: true });
+        await updateStock(interaction);
+      } else if (interaction.isChatInputCommand() && lists[interaction.commandName]) {
+        await interaction.deferReply({ ephemeral: true });
+        await answer(interaction, interaction.commandName, 0);
+      } else if (interaction.isButton() && isCommandButton(interaction.customId)) {
+        const [, command, sellerId, page] = interaction.customId.split("|");
+        if (!lists[command]) return;
+        await interaction.deferUpdate();
+        await answer(interaction, command, Number(page) || 0, sellerId);
+      }
+    } catch (e) {
+      console.error("command error:", e);
+      if (interaction.isAutocomplete()) return interaction.respond([]).catch(() => {});
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content: t(interaction.locale, "commands.error"), embeds: [], components: [] })
+          .catch(() => {});
+      }
+    }
+  });
+}
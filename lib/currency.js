@@ -0,0 +1,68 @@
+// lib/currency.js
+// Currency codes, conversion through a local rate table, and display formatting.
+// Rates: config/fx-rates.json ({ base: "EUR", asOf, rates: { GBP: 0.86, … } } = units per 1 EUR),
+// or FX_RATES (JSON) / FX_RATES_FILE to override. No live rates: the table is what we book with.
+import fs from "node:fs";
+
+const {
+  FX_RATES,
+  FX_RATES_FILE = new URL("../config/fx-rates.json", import.meta.url),
+  FX_RATES_MAX_AGE_DAYS = "14", // warn at startup when the table is older than this
+  MONEY_LOCALE = "en-IE",       // "€185.00", "£185.00", "CHF 185.00"
+} = process.env;
+
+export const BASE_CURRENCY = "EUR";
+
+function loadRates() {
+  const from = FX_RATES ? "FX_RATES" : String(FX_RATES_FILE);
+  const data = JSON.parse(FX_RATES || fs.readFileSync(FX_RATES_FILE, "utf8"));
+  if (String(data.base || BASE_CURRENCY).toUpperCase() !== BASE_CURRENCY) {
+    throw new Error(`${from}: base must be ${BASE_CURRENCY}`);
+  }
+  const asOf = new Date(data.asOf);
+  if (isNaN(asOf)) throw new Error(`${from}: asOf must be an ISO timestamp`);
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const [code, rate] of Object.entries(data.rates || {})) {
+    if (!(Number(rate) > 0)) throw new Error(`${from}: invalid rate for ${code}`);
+    rates[code.toUpperCase()] = Number(rate);
+  }
+
+  const ageDays = (Date.now() - asOf.getTime()) / 86400000;
+  if (ageDays > Number(FX_RATES_MAX_AGE_DAYS)) {
+    console.warn(`⚠️ FX rates are ${Math.floor(ageDays)} days old (asOf ${asOf.toISOString()})`);
+  }
+  return { asOf: asOf.toISOString(), rates };
+}
+
+const table = loadRates();
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** When the rate table was last updated (ISO). */
+export const ratesAsOf = () => table.asOf;
+
+/** "gbp" → "GBP"; empty → `fallback`; throws on a code missing from the rate table. */
+export function normalizeCurrency(code, fallback = BASE_CURRENCY) {
+  const c = String(code || "").trim().toUpperCase();
+  if (!c) return fallback;
+  if (!table.rates[c]) throw new Error(`Unsupported currency "${code}" (not in FX rate table)`);
+  return c;
+}
+
+/** Units of `to` per 1 `from` (6 decimals — this is also what Sales rows record). */
+export const fxRate = (from, to = BASE_CURRENCY) =>
+  Math.round((table.rates[normalizeCurrency(to)] / table.rates[normalizeCurrency(from)]) * 1e6) / 1e6;
+
+/** Convert and round to cents; null stays null. */
+export function convert(amount, from, to = BASE_CURRENCY) {
+  if (typeof amount !== "number" || !isFinite(amount)) return null;
+  return round2(amount * fxRate(from, to));
+}
+
+/** 185 + "GBP" → "£185.00"; non-numbers → "—". */
+export function formatMoney(amount, currency = BASE_CURRENCY, locale = MONEY_LOCALE) {
+  const n = Number(amount);
+  if (amount == null || amount === "" || !isFinite(n)) return "—";
+  return new Intl.NumberFormat(locale, { style: "currency", currency: normalizeCurrency(currency) }).format(n);
+}
@@ -0,0 +1,27 @@
+// lib/discord-rest.js
+import { httpRequest } from "./http.js";
+import { SANDBOX, sandboxRequest } from "./sandbox.js";
+
+const { DISCORD_BOT_TOKEN } = process.env;
+
+export const API = "https://discord.com/api/v10";
+
+/**
+ * All Discord REST calls go through the shared client (rate limits + retries).
+ * Throws `${label} → ${status} ${body}` on a non-2xx answer.
+ * In sandbox mode (DISCORD_SANDBOX=true) nothing leaves the process.
+ */
+export async function discordRequest(method, path, body, label) {
+  if (SANDBOX) return sandboxRequest(method, path, body, label);
+  const res = await httpRequest(`${API}${path}`, {
+    method,
+    label: `Discord ${label}`,
+    headers: {
+      Authorization: `Bot ${DISCORD_BOT_TOKEN}`,
+      ...(body ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw new Error(`${label} → ${res.status} ${await res.text()}`);
+  return res.status === 204 ? null : res.json();
+}
@@ -1,110 +1,215 @@
 // lib/discord.js
-import fetch from "node-fetch";
 import { Client, GatewayIntentBits, Events } from "discord.js";
+import { discordRequest } from "./discord-rest.js";
+import { resolveSellerChannel, attachChannelIndex } from "./channels.js";
+import { vatLabel } from "./vat.js";
+import { formatMoney, convert } from "./currency.js";
+import { t } from "./i18n.js";
+import { attachCommands, isCommandButton, registerCommands } from "./commands.js";
+import { SANDBOX, sandboxClient } from "./sandbox.js";
 
 const {
   DISCORD_BOT_TOKEN,
   DISCORD_GUILD_ID,
-  DISCORD_CHANNEL_ID,
-  ALLOW_CHANNEL_CREATE
+  DISCORD_STAFF_CHANNEL_ID, // where seller counter-offers are posted for review
+  DISCORD_PUBLIC_KEY,
+  DISCORD_INTERACTIONS = "gateway", // gateway | http (clicks arrive on POST /interactions)
 } = process.env;
 
-const API = "https://discord.com/api/v10";
+const INTERACTION_MODES = ["gateway", "http"];
+if (!INTERACTION_MODES.includes(DISCORD_INTERACTIONS)) {
+  throw new Error(`Unknown DISCORD_INTERACTIONS "${DISCORD_INTERACTIONS}" (use ${INTERACTION_MODES.join(" | ")})`);
+}
+export const HTTP_INTERACTIONS = DISCORD_INTERACTIONS === "http";
 
 let client;
 export async function initDiscord() {
   if (client) return client;
-  client = new Client({ intents: [GatewayIntentBits.Guilds] }); // minimal to avoid disallowed intents
+  client = SANDBOX
+    ? sandboxClient()
+    : new Client({ intents: [GatewayIntentBits.Guilds] }); // minimal to avoid disallowed intents
+  attachChannelIndex(client);
+  attachCommands(client); // /my-offers, /my-stock; registered once the client is ready
+  if (SANDBOX) {
+    console.log("🧪 Discord sandbox: no gateway login, messages stay in memory");
+    return client;
+  }
+  if (HTTP_INTERACTIONS) {
+    // No websocket: the client only carries the listeners; the channel index re-lists on its TTL
+    if (!DISCORD_PUBLIC_KEY) throw new Error("DISCORD_INTERACTIONS=http needs DISCORD_PUBLIC_KEY");
+    const app = await discordRequest("GET", "/applications/@me", null, "get application");
+    registerCommands(app.id).catch(e => console.warn("registerCommands warn:", e.message));
+    console.log("✅ Discord interactions over HTTP (POST /interactions), no gateway login");
+    return client;
+  }
   await client.login(DISCORD_BOT_TOKEN);
   console.log("✅ Discord logged in as", client.user?.tag);
   return client;
 }
 
+// action|orderRecId|sellerId|inventoryRecordId|price[|currency[|quantity]] — messages sent before
+// currencies existed are EUR; the order quantity is only carried for multi-pair orders
+// (orderQuantity null = not on the button, look it up in Offer Messages)
+const parseCustomId = (customId) => {
+  const [action, orderRecId, sellerId, inventoryRecordId, offerPriceStr, currency = "EUR", quantityStr] =
+    String(customId).split("|");
+  const orderQuantity = Number(quantityStr) > 0 ? Number(quantityStr) : null;
+  return { action, orderRecId, sellerId, inventoryRecordId, offerPrice: Number(offerPriceStr), currency, orderQuantity };
+};
+
+const customId = (action, { orderRecId, sellerId, inventoryRecordId, price, currency, orderQuantity }) =>
+  [action, orderRecId, sellerId, inventoryRecordId, price ?? 0, currency || "EUR", ...(orderQuantity > 1 ? [orderQuantity] : [])].join("|");
+
+// deny_reason|<offer message id>: the offer itself is looked up from its Offer Messages row
+const parseDenyReasonId = (id) => String(id).split("|").pop();
+
+// "€ 1.234,50" / "£185" / "1234.5" / "1,234.50" → 1234.5
+const parsePriceInput = (raw) => {
+  let s = String(raw || "").replace(/[^\d.,]/g, "");
+  if (s.includes(",") && s.includes(".")) {
+    s = s.lastIndexOf(",") > s.lastIndexOf(".") ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  } else {
+    s = s.replace(",", ".");
+  }
+  const n = Number(s);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : null;
+};
+
+// No time for an Airtable lookup before showModal, so the modal follows the clicker's Discord locale
+function counterModal(buttonCustomId, lang) {
+  const { orderRecId, sellerId, inventoryRecordId, offerPrice, currency, orderQuantity } = parseCustomId(buttonCustomId);
+  return {
+    custom_id: customId("counter_modal", { orderRecId, sellerId, inventoryRecordId, price: offerPrice || 0, currency, orderQuantity }),
+    title: t(lang, "counter.modalTitle"),
+    components: [{
+      type: 1,
+      components: [{
+        type: 4,
+        custom_id: "price",
+        style: 1,
+        label: t(lang, "counter.priceLabel", { currency }),
+        placeholder: offerPrice
+          ? t(lang, "counter.placeholderOffer", { price: formatMoney(offerPrice, currency) })
+          : t(lang, "counter.placeholderExample"),
+        required: true,
+        max_length: 12,
+      }]
+    }]
+  };
+}
+
+/** Reasons a seller can pick when denying an offer (labels: deny.reasons.<reason>). */
+export const DENY_REASONS = ["sold_elsewhere", "price_too_low", "wrong_size", "damaged"];
+
+// Deny asks for a reason first: an ephemeral select whose custom_id carries only the offer message id
+// (custom_ids are capped at 100 characters)
+function denyReasonPrompt(interaction) {
+  const lang = interaction.locale;
+  return {
+    content: t(lang, "deny.prompt"),
+    ephemeral: true,
+    components: [{
+      type: 1,
+      components: [{
+        type: 3,
+        custom_id: `deny_reason|${interaction.message.id}`,
+        placeholder: t(lang, "deny.placeholder"),
+        options: DENY_REASONS.map(r => ({ value: r, label: t(lang, `deny.reasons.${r}`) })),
+      }]
+    }]
+  };
+}
+
+// Who clicked + a way to answer them privately (used for auth errors)
+function clickContext(interaction) {
+  const roles = interaction.member?.roles;
+  const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys?.() || [])];
+  return {
+    channelId: interaction.channelId,
+    messageId: interaction.message?.id,
+    userId: interaction.user?.id,
+    userTag: interaction.user?.tag,
+    roleIds,
+    locale: interaction.locale,
+    reply: (content) =>
+      interaction.followUp({ content, ephemeral: true }).catch(e => console.warn("followUp warn:", e.message)),
+  };
+}
+
 export async function onButtonInteraction(handler) {
   await initDiscord();
   client.on(Events.InteractionCreate, async (interaction) => {
-    if (!interaction.isButton()) return;
+    // Counter: the modal must be the *first* response, so no deferUpdate here
+    if (interaction.isButton() && String(interaction.customId).startsWith("counter|")) {
+      await interaction.showModal(counterModal(interaction.customId, interaction.locale))
+        .catch(e => console.error("showModal error:", e));
+      return;
+    }
+
+    if (interaction.isButton() && String(interaction.customId).startsWith("deny|")) {
+      await interaction.reply(denyReasonPrompt(interaction)).catch(e => console.error("deny prompt error:", e));
+      return;
+    }
+
+    // The select lives on the ephemeral prompt: act on the offer message named in its custom_id
+    if (interaction.isStringSelectMenu() && String(interaction.customId).startsWith("deny_reason|")) {
+      await interaction.deferUpdate().catch(() => {});
+      try {
+        const messageId = parseDenyReasonId(interaction.customId);
+        // true only when the deny was applied; an unauthorized clicker already got the reason
+        const denied = await handler({
+          ...clickContext(interaction),
+          action: "deny",
+          denyReason: interaction.values?.[0],
+          messageId,
+        });
+        const content = t(interaction.locale, denied ? "deny.thanks" : "deny.notApplied");
+        await interaction.editReply({ content, components: [] }).catch(() => {});
+      } catch (e) { console.error("onButtonInteraction error:", e); }
+      return;
+    }
+
+    if (interaction.isModalSubmit() && String(interaction.customId).startsWith("counter_modal|")) {
+      const counterPrice = parsePriceInput(interaction.fields.getTextInputValue("price"));
+      if (counterPrice == null) {
+        await interaction.reply({ content: t(interaction.locale, "counter.invalidPrice"), ephemeral: true })
+          .catch(() => {});
+        return;
+      }
+      await interaction.deferUpdate().catch(() => {});
+      try {
+        await handler({
+          ...parseCustomId(interaction.customId),
+          action: "counter",
+          counterPrice,
+          ...clickContext(interaction),
+        });
+      } catch (e) { console.error("onButtonInteraction error:", e); }
+      return;
+    }
+
+    if (!interaction.isButton() || isCommandButton(interaction.customId)) return;
     await interaction.deferUpdate().catch(() => {}); // ack immediately
     try {
-      const [action, orderRecId, sellerId, inventoryRecordId, offerPriceStr] =
-        String(interaction.customId).split("|");
-      const offerPrice = Number(offerPriceStr);
       await handler({
-        action, orderRecId, sellerId, inventoryRecordId, offerPrice,
-        channelId: interaction.channelId,
-        messageId: interaction.message?.id,
+        ...parseCustomId(interaction.customId),
+        ...clickContext(interaction),
       });
     } catch (e) { console.error("onButtonInteraction error:", e); }
   });
 }
 
-/* -------------------- Channel helpers -------------------- */
-async function listGuildChannels() {
-  if (!DISCORD_GUILD_ID) {
-    if (!DISCORD_CHANNEL_ID) throw new Error("Set DISCORD_CHANNEL_ID or DISCORD_GUILD_ID");
-    return [{ id: DISCORD_CHANNEL_ID, type: 0, name: "fallback" }];
-  }
-  const r = await fetch(`${API}/guilds/${DISCORD_GUILD_ID}/channels`, {
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` }
-  });
-  if (!r.ok) throw new Error(`list channels → ${r.status} ${await r.text()}`);
-  return r.json();
-}
-async function createChannel({ name, type, parent_id }) {
-  const r = await fetch(`${API}/guilds/${DISCORD_GUILD_ID}/channels`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ name, type, parent_id })
-  });
-  if (!r.ok) throw new Error(`create channel → ${r.status} ${await r.text()}`);
-  return r.json();
-}
-async function getChannelIdForSeller(sellerNameOrId, kind) {
-  const target = kind === "confirm" ? "confirmation-requests" : "offer-requests";
-  if (!DISCORD_GUILD_ID) return { channelId: DISCORD_CHANNEL_ID, created: false };
-
-  const chans = await listGuildChannels();
-  const wanted = String(sellerNameOrId || "").trim().toLowerCase();
-
-  const cat = chans.find(c => c.type === 4 && String(c.name).trim().toLowerCase() === wanted);
-  let categoryId = cat?.id;
-  if (!categoryId) {
-    if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-      categoryId = (await createChannel({ name: sellerNameOrId, type: 4 })).id;
-    } else throw new Error(`Missing category "${sellerNameOrId}"`);
-  }
-  const ch = chans.find(c => c.type === 0 && c.parent_id === categoryId && c.name === target);
-  if (ch) return { channelId: ch.id, created: false };
-  if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-    const created = await createChannel({ name: target, type: 0, parent_id: categoryId });
-    return { channelId: created.id, created: true };
-  }
-  throw new Error(`Missing channel "${target}" under "${sellerNameOrId}"`);
-}
-
 /* -------------------- Price helpers + labels -------------------- */
-const euro = (v) => (typeof v === "number" && isFinite(v) ? `€${v.toFixed(2)}` : "—");
 
 const shouldConfirm = (suggested, adjustedMax) =>
   [suggested, adjustedMax].every(n => typeof n === "number") && suggested <= adjustedMax;
 
-function vatSuffix({ vatType, sellerCountry, clientCountry }) {
-  const vt = String(vatType || "").toUpperCase();
-  const isNL = (s) => String(s || "").toLowerCase().includes("nether");
-  const bothDutch = isNL(sellerCountry) && isNL(clientCountry);
-
-  if (vt.includes("MARGIN")) return "(Margin)";
-  if (vt.includes("VAT21"))  return "(VAT 21%)";
-  if (vt.includes("VAT0"))   return bothDutch ? "(VAT 21%)" : "(VAT 0%)";
-  return "";
-}
-
 /* -------------------- Send / Disable -------------------- */
-export async function sendOfferMessageGateway({
+// Content, embed and buttons of an offer. Same inputs for the first send and every re-render.
+function renderOfferMessage({
   orderRecId,
   orderHumanId,
   sellerId,
-  sellerName,
   inventoryRecordId,
   productName,
   sku,
@@ -114,18 +219,13 @@ export async function sendOfferMessageGateway({
   vatType,
   sellerCountry,
   clientCountry,
+  expiresAt,      // ISO string; shown as a relative Discord timestamp
+  currency = "EUR", // seller's currency; suggested/adjustedMax are already converted to it
+  language = "en",  // seller's message language (lib/i18n.js)
+  orderQuantity = 1,
+  note = null,      // staff note shown under the prices (POST /offers/update)
   showMax = true, // pass false from server to hide “Max We Buy” on confirms
 }) {
-  // helpers
-  const isNL = (s) => String(s || "").toLowerCase().includes("nether");
-  const vatSuffix = ({ vatType, sellerCountry, clientCountry }) => {
-    const vt = String(vatType || "").toUpperCase();
-    const bothDutch = isNL(sellerCountry) && isNL(clientCountry);
-    if (vt.includes("MARGIN")) return "(Margin)";
-    if (vt.includes("VAT21"))  return "(VAT 21%)";
-    if (vt.includes("VAT0"))   return bothDutch ? "(VAT 21%)" : "(VAT 0%)";
-    return "";
-  };
   const confirmCase =
     [suggested, adjustedMax].every(n => typeof n === "number" && isFinite(n)) &&
     suggested <= adjustedMax;
@@ -134,57 +234,63 @@ export async function sendOfferMessageGateway({
     ? suggested
     : (typeof adjustedMax === "number" ? adjustedMax : null);
 
-  const yourTag = vatSuffix({ vatType, sellerCountry, clientCountry });
-  const ourTag  = vatSuffix({ vatType, sellerCountry, clientCountry });
+  // Same rules as the booked Sales row (lib/vat.js)
+  const yourTag = vatLabel({ vatType, sellerCountry, buyerCountry: clientCountry });
+  const ourTag  = yourTag;
+
+  const tr = (key, vars) => t(language, key, vars);
 
-  const contentHeader = confirmCase
-    ? `📋 Match found for ${sku} / ${size}`
-    : `📑 Offer sent for ${sku} / ${size}`;
+  const contentHeader = tr(confirmCase ? "offer.headerMatch" : "offer.headerOffer", { sku, size });
 
-  const embedTitle = confirmCase
-    ? "🚀 Your Item Matched One Of Our Orders"
-    : "💸 We Got An Offer For Your Item";
+  const embedTitle = tr(confirmCase ? "offer.titleMatch" : "offer.titleOffer");
 
   const descLines = [
-    "If you still have this pair, click **Confirm** below. FCFS — other sellers might also have this listed.",
+    tr("offer.intro"),
     "",
-    "**Product Name**",
+    `**${tr("offer.productName")}**`,
     productName || "—",
     "",
-    `**SKU**\n${sku ?? "—"}`,
-    `**Size**\n${size ?? "—"}`,
+    `**${tr("offer.sku")}**\n${sku ?? "—"}`,
+    `**${tr("offer.size")}**\n${size ?? "—"}`,
     "",
-    "**Order**",
+    `**${tr("offer.order")}**`,
     orderHumanId || orderRecId || "—",
   ];
+  if (orderQuantity > 1) descLines.push("", `**${tr("offer.pairsNeeded")}**`, String(orderQuantity));
   const description = descLines.join("\n");
 
   // fields: always show only "Your Price" on confirmation (unless you intentionally allow Max via showMax)
-  const fields = [{ name: "Your Price", value: (suggested != null && isFinite(suggested)) ? `€${Number(suggested).toFixed(2)} ${yourTag}` : "—", inline: true }];
+  const fields = [{ name: tr("offer.yourPrice"), value: (suggested != null && isFinite(suggested)) ? `${formatMoney(suggested, currency)} ${yourTag}` : "—", inline: true }];
 
   if (!confirmCase) {
     const rightNumber = offerPrice;
     const rightValue  = (rightNumber != null && isFinite(rightNumber))
-      ? `€${Number(rightNumber).toFixed(2)} ${ourTag}`
+      ? `${formatMoney(rightNumber, currency)} ${ourTag}`
       : "—";
-    fields.push({ name: "Our Offer", value: rightValue, inline: true });
+    fields.push({ name: tr("offer.ourOffer"), value: rightValue, inline: true });
   } else if (showMax && adjustedMax != null && isFinite(adjustedMax)) {
-    const rightValue = `€${Number(adjustedMax).toFixed(2)} ${ourTag}`;
-    fields.push({ name: "Max We Buy", value: rightValue, inline: true });
+    const rightValue = `${formatMoney(adjustedMax, currency)} ${ourTag}`;
+    fields.push({ name: tr("offer.maxWeBuy"), value: rightValue, inline: true });
   }
 
-  const { channelId } = await getChannelIdForSeller(sellerName || sellerId, confirmCase ? "confirm" : "offer");
-  if (!channelId) throw new Error(`[Discord] No channelId resolved for seller="${sellerName || sellerId}"`);
+  if (note) fields.push({ name: tr("offer.note"), value: String(note).slice(0, 1024), inline: false });
+
+  if (expiresAt) {
+    const unix = Math.floor(new Date(expiresAt).getTime() / 1000);
+    fields.push({ name: tr("offer.expires"), value: `<t:${unix}:R>`, inline: false });
+  }
 
   const acceptLabel = confirmCase
-    ? "Confirm"
-    : `Accept Offer €${(offerPrice != null && isFinite(offerPrice)) ? Number(offerPrice).toFixed(2) : "—"}`;
+    ? tr("button.confirm")
+    : tr("button.acceptOffer", { price: formatMoney(offerPrice, currency) });
 
+  const ids = { orderRecId, sellerId, inventoryRecordId, price: offerPrice, currency, orderQuantity };
   const components = [{
     type: 1,
     components: [
-      { type: 2, style: 3, label: acceptLabel, custom_id: `confirm|${orderRecId}|${sellerId}|${inventoryRecordId}|${offerPrice ?? 0}` },
-      { type: 2, style: 4, label: "Deny",     custom_id: `deny|${orderRecId}|${sellerId}|${inventoryRecordId}|${offerPrice ?? 0}` }
+      { type: 2, style: 3, label: acceptLabel, custom_id: customId("confirm", ids) },
+      { type: 2, style: 1, label: tr("button.counter"), custom_id: customId("counter", ids) },
+      { type: 2, style: 4, label: tr("button.deny"),    custom_id: customId("deny", ids) }
     ]
   }];
 
@@ -197,14 +303,61 @@ export async function sendOfferMessageGateway({
     timestamp: new Date().toISOString()
   };
 
-  const res = await fetch(`${API}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ content: contentHeader, embeds: [embed], components })
+  return { confirmCase, offerPrice, body: { content: contentHeader, embeds: [embed], components } };
+}
+
+export async function sendOfferMessageGateway(offer) {
+  const { sellerId, sellerName, currency = "EUR" } = offer;
+  const { confirmCase, offerPrice, body } = renderOfferMessage(offer);
+
+  const { channelId } = await resolveSellerChannel(sellerName || sellerId, confirmCase ? "confirm" : "offer");
+  if (!channelId) throw new Error(`[Discord] No channelId resolved for seller="${sellerName || sellerId}"`);
+
+  const msg = await discordRequest("POST", `/channels/${channelId}/messages`, body, "send message");
+  return { channelId, messageId: msg.id, offerPrice, currency };
+}
+
+// Edits of one message run one at a time in this process, so a re-render that read the message
+// before a close can't PATCH its enabled buttons back after it
+const messageQueues = new Map();
+function serialized(messageId, fn) {
+  const run = (messageQueues.get(messageId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  messageQueues.set(messageId, tail);
+  tail.then(() => { if (messageQueues.get(messageId) === tail) messageQueues.delete(messageId); });
+  return run;
+}
+
+const hasOpenButtons = (msg) =>
+  (msg.components || []).flatMap(row => row.components || []).some(b => !b.disabled);
+
+/**
+ * Re-render a live offer in place (same inputs as sendOfferMessageGateway); the buttons get
+ * the new price in their custom_id. `previous` is the offer as last rendered: a note that
+ * replaced its header since ("1 of 2 pairs left", "counter sent") is kept under the new header.
+ * Returns null, untouched, when its buttons are already disabled (closed while the update
+ * ran). The message stays in its channel even if the offer turns into a match or back.
+ */
+export function editOfferMessageGateway(channelId, messageId, offer, previous = offer) {
+  return serialized(messageId, async () => {
+    const msg = await discordRequest("GET", `/channels/${channelId}/messages/${messageId}`, null, "get message");
+    if (!hasOpenButtons(msg)) return null;
+    const { offerPrice, body } = renderOfferMessage(offer);
+    const note = msg.content && msg.content !== renderOfferMessage(previous).body.content ? msg.content : null;
+    if (note) body.content = `${body.content}\n${note}`.slice(0, 1900);
+    await discordRequest("PATCH", `/channels/${channelId}/messages/${messageId}`, body, "edit offer message");
+    return { offerPrice };
   });
-  if (!res.ok) throw new Error(`send message → ${res.status} ${await res.text()}`);
-  const msg = await res.json();
-  return { channelId, messageId: msg.id, offerPrice };
+}
+
+// Reply under an offer that mentions the seller's linked users/roles (and nobody else)
+export async function sendOfferPing(channelId, messageId, { content, userIds = [], roleIds = [] }) {
+  const mentions = [...userIds.map(id => `<@${id}>`), ...roleIds.map(id => `<@&${id}>`)].join(" ");
+  return discordRequest("POST", `/channels/${channelId}/messages`, {
+    content: `${mentions} ${content}`.trim().slice(0, 1900),
+    message_reference: { message_id: messageId, fail_if_not_exists: false },
+    allowed_mentions: { users: userIds, roles: roleIds },
+  }, "offer ping");
 }
 
 // ADD: deal-updates sender
@@ -214,30 +367,7 @@ export async function sendDealUpdateMessage({
   content,             // plain text (required)
   embed                // optional: { title, description, color, fields:[{name,value,inline}] }
 }) {
-  // Reuse your existing channel resolver; just ask for the "deal-updates" channel.
-  async function getChannelIdForSellerDeal(sellerNameOrId) {
-    const target = "deal-updates";
-    if (!DISCORD_GUILD_ID) return { channelId: DISCORD_CHANNEL_ID, created: false };
-
-    const chans = await listGuildChannels();
-    const wanted = String(sellerNameOrId || "").trim().toLowerCase();
-    const cat = chans.find(c => c.type === 4 && String(c.name).trim().toLowerCase() === wanted);
-    let categoryId = cat?.id;
-    if (!categoryId) {
-      if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-        categoryId = (await createChannel({ name: sellerNameOrId, type: 4 })).id;
-      } else throw new Error(`Missing category "${sellerNameOrId}"`);
-    }
-    const ch = chans.find(c => c.type === 0 && c.parent_id === categoryId && c.name === target);
-    if (ch) return { channelId: ch.id, created: false };
-    if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-      const created = await createChannel({ name: target, type: 0, parent_id: categoryId });
-      return { channelId: created.id, created: true };
-    }
-    throw new Error(`Missing channel "${target}" under "${sellerNameOrId}"`);
-  }
-
-  const { channelId } = await getChannelIdForSellerDeal(sellerName || sellerId);
+  const { channelId } = await resolveSellerChannel(sellerName || sellerId, "deal-updates");
   if (!channelId) throw new Error(`[Discord] No #deal-updates channel for "${sellerName || sellerId}"`);
 
   const body = {
@@ -256,31 +386,109 @@ export async function sendDealUpdateMessage({
     }] : undefined
   };
 
-  const r = await fetch(`${API}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-  if (!r.ok) throw new Error(`deal update send → ${r.status} ${await r.text()}`);
-  return r.json();
+  return discordRequest("POST", `/channels/${channelId}/messages`, body, "deal update send");
 }
 
+// Counter-offer review card for staff (Accept / Reject)
+export async function sendStaffCounterMessage({
+  orderRecId,
+  sellerId,
+  inventoryRecordId,
+  offerPrice,
+  counterPrice,
+  currency = "EUR", // the seller's; both prices are in it
+  channelId,   // seller's offer message
+  messageId,
+  orderQuantity = null,
+}) {
+  if (!DISCORD_STAFF_CHANNEL_ID) throw new Error("DISCORD_STAFF_CHANNEL_ID is not set");
 
-export async function disableMessageButtonsGateway(channelId, messageId, note) {
-  const r = await fetch(`${API}/channels/${channelId}/messages/${messageId}`, {
-    method: "PATCH",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({
-      components: [{
-        type: 1,
-        components: [
-          { type: 2, style: 2, label: "Confirmed", custom_id: "confirmed", disabled: true },
-          { type: 2, style: 2, label: "Denied", custom_id: "denied", disabled: true }
-        ]
-      }],
-      content: note ? `${note}` : undefined
-    })
+  const jump = DISCORD_GUILD_ID && channelId && messageId
+    ? `https://discord.com/channels/${DISCORD_GUILD_ID}/${channelId}/${messageId}`
+    : null;
+
+  const embed = {
+    title: "↩️ Counter Offer Received",
+    description: [
+      `**Seller**\n${sellerId}`,
+      `**Order**\n${orderRecId}`,
+      `**Inventory**\n${inventoryRecordId}`,
+      jump ? `\n[Jump to offer](${jump})` : null,
+    ].filter(Boolean).join("\n"),
+    color: 0x3498db,
+    fields: [
+      { name: "Our Offer", value: formatMoney(offerPrice, currency), inline: true },
+      { name: "Counter", value: formatMoney(counterPrice, currency), inline: true },
+      ...(currency !== "EUR"
+        ? [{ name: "Counter (EUR)", value: formatMoney(convert(counterPrice, currency), "EUR"), inline: true }]
+        : []),
+    ],
+    footer: { text: `SellerID: ${sellerId}` },
+    timestamp: new Date().toISOString()
+  };
+
+  const ids = { orderRecId, sellerId, inventoryRecordId, price: counterPrice, currency, orderQuantity };
+  const components = [{
+    type: 1,
+    components: [
+      { type: 2, style: 3, label: `Accept ${formatMoney(counterPrice, currency)}`, custom_id: customId("counter_accept", ids) },
+      { type: 2, style: 4, label: "Reject", custom_id: customId("counter_reject", ids) }
+    ]
+  }];
+
+  return discordRequest(
+    "POST",
+    `/channels/${DISCORD_STAFF_CHANNEL_ID}/messages`,
+    { content: `Counter from ${sellerId} on ${orderRecId}`, embeds: [embed], components },
+    "staff counter send"
+  );
+}
+
+// Plain heads-up for staff (falls back to the log when no staff channel is set)
+export async function sendStaffAlert(text) {
+  if (!DISCORD_STAFF_CHANNEL_ID) {
+    console.warn("[staff alert]", text);
+    return null;
+  }
+  return discordRequest(
+    "POST",
+    `/channels/${DISCORD_STAFF_CHANNEL_ID}/messages`,
+    { content: String(text).slice(0, 1900), allowed_mentions: { parse: [] } },
+    "staff alert send"
+  );
+}
+
+// Edit only the text above the embed; buttons stay as they are
+const patchNote = (channelId, messageId, note) => discordRequest(
+  "PATCH",
+  `/channels/${channelId}/messages/${messageId}`,
+  { content: String(note || "").slice(0, 1900) },
+  "edit message note"
+);
+
+export function setMessageNote(channelId, messageId, note) {
+  return serialized(messageId, () => patchNote(channelId, messageId, note));
+}
+
+// Same as setMessageNote, but leaves messages whose buttons are already disabled alone
+export function updateOpenOfferNote(channelId, messageId, note) {
+  return serialized(messageId, async () => {
+    const msg = await discordRequest("GET", `/channels/${channelId}/messages/${messageId}`, null, "get message");
+    if (!hasOpenButtons(msg)) return null;
+    return patchNote(channelId, messageId, note);
   });
-  if (!r.ok) throw new Error(`edit message → ${r.status} ${await r.text()}`);
-  return r.json();
+}
+
+// `note` is already localized by the caller; `language` only affects the greyed-out button labels
+export function disableMessageButtonsGateway(channelId, messageId, note, language = "en") {
+  return serialized(messageId, () => discordRequest("PATCH", `/channels/${channelId}/messages/${messageId}`, {
+    components: [{
+      type: 1,
+      components: [
+        { type: 2, style: 2, label: t(language, "button.confirmed"), custom_id: "confirmed", disabled: true },
+        { type: 2, style: 2, label: t(language, "button.denied"), custom_id: "denied", disabled: true }
+      ]
+    }],
+    content: note ? `${note}` : undefined
+  }, "edit message"));
 }
@@ -0,0 +1,50 @@
+// lib/expiry.js
+import { disableMessageButtonsGateway } from "./discord.js";
+import { t } from "./i18n.js";
+import { listExpiredOfferMessages, markOfferMessagesExpired } from "./storage.js";
+import { scheduleEvery } from "./scheduler.js";
+
+const {
+  OFFER_TTL_MINUTES = "1440",            // default lifetime of an offer (24h); 0 = never
+  OFFER_EXPIRY_SWEEP_SECONDS = "60",
+} = process.env;
+
+/**
+ * Resolve the expiry for a new offer: explicit `expiresAt` from the payload wins,
+ * otherwise now + OFFER_TTL_MINUTES. Returns an ISO string or null.
+ */
+export function resolveExpiresAt(expiresAt, now = Date.now()) {
+  if (expiresAt) {
+    const d = new Date(expiresAt);
+    if (Number.isNaN(d.getTime())) throw new Error(`Invalid expiresAt: ${expiresAt}`);
+    return d.toISOString();
+  }
+  const ttl = Number(OFFER_TTL_MINUTES);
+  if (!Number.isFinite(ttl) || ttl <= 0) return null;
+  return new Date(now + ttl * 60_000).toISOString();
+}
+
+export const isExpired = (expiresAt, now = Date.now()) =>
+  !!expiresAt && new Date(expiresAt).getTime() <= now;
+
+/** Close every logged offer whose expiry has passed. Returns how many were closed. */
+export async function sweepExpiredOffers() {
+  const due = await listExpiredOfferMessages();
+  if (!due.length) return 0;
+
+  const results = await Promise.allSettled(
+    due.map(m => disableMessageButtonsGateway(m.channelId, m.messageId, t(m.language, "note.expired"), m.language))
+  );
+  // Only tick rows we could actually close (or that no longer exist); the rest retry next sweep
+  const gone = (r) => r.status === "rejected" && /→ 404\b/.test(r.reason?.message || "");
+  const closed = due
+    .filter((_, i) => results[i].status === "fulfilled" || gone(results[i]))
+    .map(m => m.recordId);
+  await markOfferMessagesExpired(closed);
+  console.log(`⌛ Expired ${closed.length}/${due.length} offer message(s)`);
+  return closed.length;
+}
+
+export function startOfferExpirySweeper() {
+  scheduleEvery("offer-expiry", Number(OFFER_EXPIRY_SWEEP_SECONDS) * 1000, sweepExpiredOffers);
+}
@@ -0,0 +1,145 @@
+// lib/http.js
+// Shared HTTP client for Airtable + Discord REST calls.
+// - per-host token bucket (Airtable allows 5 req/s per base, Discord ~50 req/s global)
+// - Discord per-route buckets from X-RateLimit-* headers, plus global 429s
+// - retries: 429 always (the request was not processed), 5xx/network errors only
+//   for idempotent requests so a POST is never blindly repeated
+import fetch from "node-fetch";
+
+const {
+  HTTP_MAX_RETRIES = "4",
+  HTTP_BACKOFF_BASE_MS = "500",
+  HTTP_RATE_AIRTABLE = "5",   // requests per second
+  HTTP_RATE_DISCORD = "45",
+} = process.env;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/* -------------------- token buckets (per host) -------------------- */
+const hostRates = {
+  "api.airtable.com": Number(HTTP_RATE_AIRTABLE),
+  "discord.com": Number(HTTP_RATE_DISCORD),
+};
+const buckets = new Map(); // host → { tokens, last, rate, pausedUntil }
+
+function hostBucket(host) {
+  if (!buckets.has(host)) {
+    const rate = hostRates[host] || 10;
+    buckets.set(host, { tokens: rate, last: Date.now(), rate, pausedUntil: 0 });
+  }
+  return buckets.get(host);
+}
+
+async function takeToken(host) {
+  const b = hostBucket(host);
+  for (;;) {
+    const now = Date.now();
+    if (b.pausedUntil > now) { await sleep(b.pausedUntil - now); continue; }
+    b.tokens = Math.min(b.rate, b.tokens + ((now - b.last) / 1000) * b.rate);
+    b.last = now;
+    if (b.tokens >= 1) { b.tokens -= 1; return; }
+    await sleep(Math.ceil(((1 - b.tokens) / b.rate) * 1000));
+  }
+}
+
+const pauseHost = (host, ms) => {
+  const b = hostBucket(host);
+  b.pausedUntil = Math.max(b.pausedUntil, Date.now() + ms);
+};
+
+/* -------------------- Discord route buckets -------------------- */
+// Discord scopes limits per route + major parameter (channel/guild id); message ids etc. are not major.
+const discordRoute = (method, pathname) =>
+  `${method} ${pathname.replace(/\/(messages|members|commands|interactions)\/\d+/g, "/$1/:id")}`;
+
+const routeToBucket = new Map();   // route → X-RateLimit-Bucket
+const bucketBlocks = new Map();    // bucket → blocked-until ms
+
+async function waitDiscordRoute(route) {
+  const bucket = routeToBucket.get(route);
+  const until = bucket ? bucketBlocks.get(bucket) : 0;
+  if (until && until > Date.now()) await sleep(until - Date.now());
+}
+
+function trackDiscordHeaders(route, res) {
+  const bucket = res.headers.get("x-ratelimit-bucket");
+  if (!bucket) return;
+  routeToBucket.set(route, bucket);
+  const remaining = Number(res.headers.get("x-ratelimit-remaining"));
+  const resetAfter = Number(res.headers.get("x-ratelimit-reset-after"));
+  if (remaining === 0 && Number.isFinite(resetAfter)) {
+    bucketBlocks.set(bucket, Date.now() + resetAfter * 1000);
+  }
+}
+
+/* -------------------- retry policy -------------------- */
+const IDEMPOTENT = new Set(["GET", "HEAD", "PUT", "PATCH", "DELETE", "OPTIONS"]);
+
+const backoffMs = (attempt) =>
+  Number(HTTP_BACKOFF_BASE_MS) * 2 ** attempt + Math.floor(Math.random() * 250);
+
+// How long a 429 asks us to wait (Discord: JSON retry_after; others: Retry-After header)
+async function retryAfterMs(res, host) {
+  let body = null;
+  try { body = await res.clone().json(); } catch { /* not JSON */ }
+  if (typeof body?.retry_after === "number") return Math.ceil(body.retry_after * 1000);
+  const header = Number(res.headers.get("retry-after"));
+  if (Number.isFinite(header) && header > 0) return header * 1000;
+  // Airtable documents a 30s penalty after a 429 and sends no header
+  return host === "api.airtable.com" ? 30_000 : backoffMs(1);
+}
+
+/**
+ * fetch() with throttling and retries. Returns the final Response (ok or not);
+ * callers keep doing their own `if (!res.ok) throw …`.
+ *
+ * @param {string} url
+ * @param {object} opts  fetch options + `idempotent` (force retry policy for POSTs
+ *                       that are safe to repeat) + `label` (for logs)
+ */
+export async function httpRequest(url, { idempotent, label, ...init } = {}) {
+  const method = String(init.method || "GET").toUpperCase();
+  const { host, pathname } = new URL(url);
+  const isDiscord = host === "discord.com";
+  const route = isDiscord ? discordRoute(method, pathname) : null;
+  const canRepeat = idempotent ?? IDEMPOTENT.has(method);
+  const maxRetries = Number(HTTP_MAX_RETRIES);
+  const name = label || `${method} ${host}${pathname}`;
+
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(host);
+    if (route) await waitDiscordRoute(route);
+
+    let res;
+    try {
+      res = await fetch(url, { ...init, method });
+    } catch (e) {
+      // Network error: the server may or may not have seen the request
+      if (!canRepeat || attempt >= maxRetries) throw e;
+      const wait = backoffMs(attempt);
+      console.warn(`[http] retry ${attempt + 1}/${maxRetries} ${name} in ${wait}ms (${e.code || e.message})`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (route) trackDiscordHeaders(route, res);
+
+    if (res.status === 429 && attempt < maxRetries) {
+      const wait = await retryAfterMs(res, host);
+      if (isDiscord && res.headers.get("x-ratelimit-global")) pauseHost(host, wait);
+      if (!isDiscord) pauseHost(host, wait);
+      console.warn(`[http] 429 on ${name}, retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (res.status >= 500 && canRepeat && attempt < maxRetries) {
+      const wait = backoffMs(attempt);
+      console.warn(`[http] ${res.status} on ${name}, retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    return res;
+  }
+}
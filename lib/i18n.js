@@ -0,0 +1,44 @@
+// lib/i18n.js
+// Seller-facing message catalog (locales/<lang>.json). Missing keys fall back to English,
+// missing in English too → the key itself, so a typo shows up instead of an empty note.
+import fs from "node:fs";
+
+const { DEFAULT_LANGUAGE = "en" } = process.env;
+
+const LOCALES_DIR = new URL("../locales/", import.meta.url);
+
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(f => f.endsWith(".json"))
+    .map(f => [f.slice(0, -5), JSON.parse(fs.readFileSync(new URL(f, LOCALES_DIR), "utf8"))])
+);
+
+export const LANGUAGES = Object.keys(catalogs);
+
+const ALIASES = {
+  english: "en", engels: "en", englisch: "en",
+  dutch: "nl", nederlands: "nl", niederländisch: "nl", holland: "nl",
+  german: "de", deutsch: "de", duits: "de",
+};
+
+/** "nl-NL" / "Dutch" / "Nederlands" → "nl"; unknown/empty → null. */
+export function normalizeLanguage(input) {
+  const s = String(input || "").trim().toLowerCase();
+  if (!s) return null;
+  const code = ALIASES[s] || s.split(/[-_]/)[0];
+  return catalogs[code] ? code : null;
+}
+
+const lookup = (catalog, key) => key.split(".").reduce((node, k) => (node == null ? node : node[k]), catalog);
+
+/** Translate `key` ("note.matchedBy") for `lang`, filling `{name}` placeholders from `vars`. */
+export function t(lang, key, vars = {}) {
+  const code = normalizeLanguage(lang) || normalizeLanguage(DEFAULT_LANGUAGE) || "en";
+  let text = lookup(catalogs[code], key);
+  if (typeof text !== "string") text = lookup(catalogs.en, key);
+  if (typeof text !== "string") return key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+/** True if `key` exists in English (used to validate keys coming from webhooks). */
+export const hasMessage = (key) => typeof lookup(catalogs.en, key) === "string";
@@ -0,0 +1,191 @@
+// lib/interactions.js
+// Discord's Interactions Endpoint (POST /interactions): the HTTP alternative to receiving
+// clicks over the gateway websocket, for serverless or sleeping hosts.
+//
+//   X-Signature-Ed25519:   hex Ed25519 signature of `${timestamp}${rawBody}`
+//   X-Signature-Timestamp: the timestamp Discord signed
+//
+// Each request becomes a discord.js-like interaction and is handed to the same
+// InteractionCreate listeners the gateway feeds (offer buttons, modals, slash commands).
+// The listener's first answer (deferUpdate / deferReply / reply / showModal / respond) goes to
+// Discord's interaction callback endpoint right away; editReply / followUp go to the
+// interaction webhook after it.
+//
+// The HTTP request itself stays open until every listener has finished (booking, message
+// edits, logging) and is then closed with an empty 202. A serverless function or sleeping host
+// is only frozen once that response is sent, so no work is cut off; the host's request time
+// limit has to cover a booking (a few seconds).
+import crypto from "node:crypto";
+import { Events } from "discord.js";
+import { discordRequest } from "./discord-rest.js";
+import { initDiscord } from "./discord.js";
+import { t } from "./i18n.js";
+
+const {
+  DISCORD_PUBLIC_KEY,
+  DISCORD_SIGNATURE_TOLERANCE_SECONDS = "300", // older (or future) timestamps are replays
+} = process.env;
+
+// Interaction and response types (Discord API)
+const PING = 1, COMMAND = 2, COMPONENT = 3, AUTOCOMPLETE = 4, MODAL_SUBMIT = 5;
+const PONG = 1, MESSAGE = 4, DEFERRED_MESSAGE = 5, DEFERRED_UPDATE = 6, CHOICES = 8, MODAL = 9;
+const EPHEMERAL = 64;
+
+let publicKey = null;
+const getPublicKey = () => {
+  publicKey ??= crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(DISCORD_PUBLIC_KEY, "hex").toString("base64url") },
+    format: "jwk",
+  });
+  return publicKey;
+};
+
+/**
+ * True when `signature` is the application's Ed25519 signature of timestamp + raw body and the
+ * timestamp (unix seconds) is within DISCORD_SIGNATURE_TOLERANCE_SECONDS of now.
+ */
+export function verifyDiscordSignature({ signature, timestamp, rawBody = "", now = Date.now() }) {
+  if (!/^[0-9a-f]{128}$/i.test(String(signature)) || !/^\d+$/.test(String(timestamp))) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > Number(DISCORD_SIGNATURE_TOLERANCE_SECONDS)) return false;
+  try {
+    return crypto.verify(null, Buffer.from(`${timestamp}${rawBody}`), getPublicKey(), Buffer.from(signature, "hex"));
+  } catch {
+    return false;
+  }
+}
+
+/** Express middleware: Discord requires a 401 for every request that does not verify. */
+export function requireDiscordSignature(req, res, next) {
+  if (!DISCORD_PUBLIC_KEY) {
+    console.error("DISCORD_PUBLIC_KEY is not set; refusing interaction");
+    return res.status(503).json({ error: "Interactions endpoint not configured" });
+  }
+  const ok = verifyDiscordSignature({
+    signature: req.get("x-signature-ed25519"),
+    timestamp: req.get("x-signature-timestamp"),
+    rawBody: req.rawBody,
+  });
+  if (!ok) return res.status(401).json({ error: "invalid request signature" });
+  next();
+}
+
+// discord.js-style reply options → interaction callback data
+const toData = (r) => {
+  const { ephemeral, ...data } = typeof r === "string" ? { content: r } : (r || {});
+  return ephemeral ? { ...data, flags: EPHEMERAL } : data;
+};
+
+// Subcommand options are nested one level down (/stock update item:…)
+const flattenOptions = (options = []) =>
+  options.length === 1 && options[0].type === 1 ? flattenOptions(options[0].options) : options;
+
+const userTag = (u) => (u?.discriminator && u.discriminator !== "0" ? `${u.username}#${u.discriminator}` : u?.username);
+
+/**
+ * A discord.js look-alike over one HTTP interaction. The first answer is POSTed to the
+ * interaction callback endpoint (once); webhook calls wait until it has gone through.
+ */
+function httpInteraction(payload) {
+  const data = payload.data || {};
+  const user = payload.member?.user ?? payload.user ?? {};
+  const options = flattenOptions(data.options);
+  const option = (name) => options.find(o => o.name === name)?.value ?? null;
+  const webhook = `/webhooks/${payload.application_id}/${payload.token}`;
+
+  let acked;
+  const ackedP = new Promise(r => { acked = r; });
+  let answered = false;
+  const respond = (body) => {
+    if (answered) return;
+    answered = true;
+    const sent = discordRequest("POST", `/interactions/${payload.id}/${payload.token}/callback`, body, "interaction response");
+    acked(sent);
+    return sent;
+  };
+
+  const interaction = {
+    id: payload.id,
+    customId: data.custom_id,
+    commandName: data.name,
+    locale: payload.locale,
+    channelId: payload.channel_id ?? payload.channel?.id,
+    message: payload.message ? { id: payload.message.id } : null,
+    user: { id: user.id, tag: userTag(user) },
+    member: payload.member ? { roles: payload.member.roles || [] } : null,
+    values: data.values,
+    fields: {
+      getTextInputValue: (name) =>
+        (data.components || []).flatMap(row => row.components || []).find(c => c.custom_id === name)?.value ?? "",
+    },
+    options: {
+      getFocused: () => options.find(o => o.focused)?.value ?? "",
+      getString: (name) => (option(name) == null ? null : String(option(name))),
+      getInteger: (name) => option(name),
+      getNumber: (name) => option(name),
+      getBoolean: (name) => option(name),
+    },
+    deferred: false,
+    replied: false,
+    isButton: () => payload.type === COMPONENT && data.component_type === 2,
+    isStringSelectMenu: () => payload.type === COMPONENT && data.component_type === 3,
+    isModalSubmit: () => payload.type === MODAL_SUBMIT,
+    isAutocomplete: () => payload.type === AUTOCOMPLETE,
+    isChatInputCommand: () => payload.type === COMMAND && data.type === 1,
+
+    async deferUpdate() {
+      interaction.deferred = true;
+      await respond({ type: DEFERRED_UPDATE });
+    },
+    async deferReply(r) {
+      interaction.deferred = true;
+      await respond({ type: DEFERRED_MESSAGE, data: toData({ ephemeral: r?.ephemeral }) });
+    },
+    async reply(r) {
+      interaction.replied = true;
+      await respond({ type: MESSAGE, data: toData(r) });
+    },
+    async showModal(m) {
+      interaction.replied = true;
+      await respond({ type: MODAL, data: m });
+    },
+    async respond(choices) {
+      interaction.replied = true;
+      await respond({ type: CHOICES, data: { choices } });
+    },
+    async editReply(r) {
+      await ackedP;
+      return discordRequest("PATCH", `${webhook}/messages/@original`, toData(r), "edit interaction reply");
+    },
+    async followUp(r) {
+      await ackedP;
+      return discordRequest("POST", webhook, toData(r), "interaction follow-up");
+    },
+
+    // Nobody answered (unknown command, ignored button): close the interaction quietly
+    async fallback() {
+      if (answered) return;
+      if (payload.type === AUTOCOMPLETE) return interaction.respond([]);
+      if (payload.type === COMMAND) return interaction.reply({ content: t(payload.locale, "commands.error"), ephemeral: true });
+      return interaction.deferUpdate();
+    },
+  };
+  return interaction;
+}
+
+/** POST /interactions (after requireDiscordSignature). */
+export async function handleInteractionRequest(req, res) {
+  const payload = req.body || {};
+  if (payload.type === PING) return res.json({ type: PONG });
+  try {
+    const client = await initDiscord();
+    const interaction = httpInteraction(payload);
+    // Discord gets its answer from the callback endpoint as soon as a listener acknowledges;
+    // this request is held open until the work behind it is done
+    await Promise.allSettled(client.listeners(Events.InteractionCreate).map(fn => fn(interaction)));
+    await interaction.fallback();
+    res.status(202).end();
+  } catch (e) {
+    console.error("interaction error:", e);
+    if (!res.headersSent) res.status(500).json({ error: e.message });
+  }
+}
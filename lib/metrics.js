@@ -0,0 +1,185 @@
+// lib/metrics.js
+// Seller responsiveness from the Offer Messages log and the Offer Clicks audit log:
+// response rate, median time to respond, confirms vs denies, and first-come-first-served
+// wins vs losses. Feeds the staff leaderboard and the weekly #deal-updates scorecard.
+import {
+  listRecentOfferMessages,
+  listOfferClicks,
+  getSellerBySellerId,
+  setSellerLastScorecard,
+  OFFER_STATUS,
+} from "./storage.js";
+import { sendDealUpdateMessage } from "./discord.js";
+import { getSellerLanguage } from "./sellers.js";
+import { t } from "./i18n.js";
+import { scheduleEvery } from "./scheduler.js";
+
+const {
+  SCORECARDS = "on",              // off = no weekly scorecards
+  SCORECARD_WEEKDAY = "1",        // 0 = Sunday … 6 = Saturday (UTC)
+  SCORECARD_HOUR = "8",           // UTC hour the scorecards go out
+  SCORECARD_DAYS = "7",           // window the scorecard covers
+} = process.env;
+
+// Clicks that count as the seller answering (staff counter review is not theirs)
+const RESPONSES = ["confirm", "deny", "counter"];
+
+const median = (xs) => {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : null);
+
+/**
+ * One seller's numbers from their offer messages and clicks.
+ * A message counts as answered on its first authorized confirm/deny/counter click, or on a
+ * Denied/Confirmed status with a responder (clicks that failed to log).
+ */
+export function sellerMetrics(sellerId, msgs, clicks) {
+  const firstResponse = new Map(); // messageId → first answering click
+  for (const c of clicks) {
+    if (c.authorized && RESPONSES.includes(c.action) && !firstResponse.has(c.messageId)) firstResponse.set(c.messageId, c);
+  }
+
+  let responded = 0, confirms = 0, denies = 0, counters = 0, won = 0, lost = 0;
+  const minutes = [];
+  for (const m of msgs) {
+    const click = firstResponse.get(m.messageId);
+    const answeredAt = click?.clickedAt
+      || ([OFFER_STATUS.DENIED, OFFER_STATUS.CONFIRMED].includes(m.status) && m.respondedBy ? m.statusAt : null);
+    const confirmed = m.status === OFFER_STATUS.CONFIRMED
+      || clicks.some(c => c.messageId === m.messageId && c.authorized && c.action === "confirm");
+    if (answeredAt) {
+      responded++;
+      const ms = new Date(answeredAt) - new Date(m.sentAt);
+      if (Number.isFinite(ms) && ms >= 0) minutes.push(ms / 60_000);
+    }
+    if (confirmed) confirms++;
+    else if (m.status === OFFER_STATUS.DENIED || click?.action === "deny") denies++;
+    if (click?.action === "counter") counters++;
+    // FCFS: the seller confirmed; either they got the pair or someone was faster
+    if (m.status === OFFER_STATUS.CONFIRMED) won++;
+    else if (confirmed && m.status === OFFER_STATUS.MATCHED_ELSEWHERE) lost++;
+  }
+
+  const med = median(minutes);
+  return {
+    sellerId,
+    offers: msgs.length,
+    responded,
+    responseRate: ratio(responded, msgs.length),
+    medianResponseMinutes: med == null ? null : Math.round(med * 10) / 10,
+    confirms,
+    denies,
+    counters,
+    confirmDenyRatio: ratio(confirms, denies),
+    won,
+    lost,
+  };
+}
+
+/** Metrics for every seller with offers in the last `days` days (or just `sellerId`). */
+export async function computeSellerMetrics({ days = 7, sellerId } = {}) {
+  const [msgs, clicks] = await Promise.all([
+    listRecentOfferMessages({ sellerId, days }),
+    listOfferClicks({ sellerId, days }),
+  ]);
+  const bySeller = new Map();
+  for (const m of msgs) {
+    if (!m.sellerId) continue;
+    if (!bySeller.has(m.sellerId)) bySeller.set(m.sellerId, []);
+    bySeller.get(m.sellerId).push(m);
+  }
+  return [...bySeller].map(([id, mine]) => {
+    const ids = new Set(mine.map(m => m.messageId));
+    return sellerMetrics(id, mine, clicks.filter(c => ids.has(c.messageId)));
+  });
+}
+
+/** Best responders first: response rate, then median time, then volume. */
+export async function leaderboard({ days = 30 } = {}) {
+  const rows = await computeSellerMetrics({ days });
+  rows.sort((a, b) =>
+    (b.responseRate ?? 0) - (a.responseRate ?? 0)
+    || (a.medianResponseMinutes ?? Infinity) - (b.medianResponseMinutes ?? Infinity)
+    || b.offers - a.offers
+  );
+  const totals = rows.reduce((acc, r) => {
+    for (const k of ["offers", "responded", "confirms", "denies", "counters", "won", "lost"]) acc[k] += r[k];
+    return acc;
+  }, { offers: 0, responded: 0, confirms: 0, denies: 0, counters: 0, won: 0, lost: 0 });
+  return {
+    days,
+    sellers: rows.length,
+    totals: { ...totals, responseRate: ratio(totals.responded, totals.offers) },
+    leaderboard: rows.map((r, i) => ({ rank: i + 1, ...r })),
+  };
+}
+
+const formatMinutes = (lang, min) =>
+  min == null ? "—"
+    : min < 90 ? t(lang, "scorecard.minutes", { value: Math.round(min) })
+    : t(lang, "scorecard.hours", { value: Math.round(min / 6) / 10 });
+const percent = (r) => (r == null ? "—" : `${Math.round(r * 100)}%`);
+
+/** The scorecard embed for one seller, in their language. */
+export function scorecardEmbed(m, lang, days) {
+  return {
+    title: t(lang, "scorecard.title", { days }),
+    color: (m.responseRate ?? 0) >= 0.8 ? 0x2ecc71 : (m.responseRate ?? 0) >= 0.5 ? 0xf1c40f : 0xe74c3c,
+    fields: [
+      { name: t(lang, "scorecard.offers"), value: String(m.offers), inline: true },
+      { name: t(lang, "scorecard.responseRate"), value: `${percent(m.responseRate)} (${m.responded}/${m.offers})`, inline: true },
+      { name: t(lang, "scorecard.medianResponse"), value: formatMinutes(lang, m.medianResponseMinutes), inline: true },
+      { name: t(lang, "scorecard.confirmsDenies"), value: `${m.confirms} / ${m.denies}`, inline: true },
+      { name: t(lang, "scorecard.wonLost"), value: `${m.won} / ${m.lost}`, inline: true },
+    ],
+  };
+}
+
+// Most recent scheduled send time at or before `now`
+function lastSlot(now = new Date()) {
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), Number(SCORECARD_HOUR)));
+  slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - Number(SCORECARD_WEEKDAY) + 7) % 7));
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 7);
+  return slot;
+}
+
+/**
+ * Post this week's scorecard to every seller with offers in the window who has not had it yet.
+ * `Last Scorecard At` on the Sellers table makes a restart (or a second instance) skip them.
+ */
+export async function sendWeeklyScorecards({ now = new Date() } = {}) {
+  const slot = lastSlot(now);
+  const days = Number(SCORECARD_DAYS);
+  const rows = await computeSellerMetrics({ days });
+  let sent = 0;
+  for (const m of rows) {
+    try {
+      const seller = await getSellerBySellerId(m.sellerId);
+      if (!seller) continue;
+      if (seller.lastScorecardAt && new Date(seller.lastScorecardAt) >= slot) continue;
+      const lang = seller.language || await getSellerLanguage(m.sellerId) || "en";
+      await sendDealUpdateMessage({
+        sellerId: m.sellerId,
+        sellerName: seller.sellerName || m.sellerId,
+        content: t(lang, "scorecard.content"),
+        embed: scorecardEmbed(m, lang, days),
+      });
+      await setSellerLastScorecard(seller.recordId, now.toISOString());
+      sent++;
+    } catch (e) {
+      console.warn(`scorecard for ${m.sellerId} failed:`, e.message);
+    }
+  }
+  if (sent) console.log(`📊 Sent ${sent} weekly scorecard(s)`);
+  return sent;
+}
+
+/** Hourly check; each seller gets one scorecard per week, after the configured slot. */
+export function startScorecards() {
+  if (String(SCORECARDS).toLowerCase() === "off") return;
+  scheduleEvery("scorecards", 60 * 60_000, () => sendWeeklyScorecards());
+}
@@ -0,0 +1,279 @@
+// lib/offers.js
+import {
+  sendOfferMessageGateway,
+  editOfferMessageGateway,
+  disableMessageButtonsGateway,
+  sendOfferPing,
+} from "./discord.js";
+import {
+  logOfferMessage,
+  listOfferMessagesForOrder,
+  updateOfferMessageDetails,
+  enqueueOfferTier,
+  listOpenOfferMessagesForInventory,
+  markOfferMessagesExpired,
+  setOfferMessageStatus,
+  isOpenOfferStatus,
+  OFFER_STATUS,
+} from "./storage.js";
+import { BASE_CURRENCY, convert, formatMoney } from "./currency.js";
+import { normalizeLanguage, t } from "./i18n.js";
+import { getSellerLanguage, getSellerCurrency, getSellerMentions } from "./sellers.js";
+import { isExpired } from "./expiry.js";
+
+const {
+  OFFERS_CONCURRENCY = "5",          // parallel Discord sends per fan-out
+  OFFER_RETRY_MAX = "3",             // queued retries per failed seller
+  OFFER_RETRY_BASE_SECONDS = "60",   // 1st retry after 60s, then 120s, 240s…
+} = process.env;
+
+/**
+ * Post the offer embed to one seller and log it in Offer Messages.
+ * Payload prices are in `order.currency`; the seller sees (and is booked in) their Sellers
+ * table currency, the same one /stock uses.
+ * Throws if the Discord send fails; a failed log only warns.
+ */
+export async function sendOfferToSeller(order, s, { expiresAt } = {}) {
+  const { orderRecId, orderHumanId, sku, size } = order;
+  const orderCurrency = order.currency || BASE_CURRENCY;
+  const currency = await getSellerCurrency(s.sellerId);
+  const language = normalizeLanguage(s.language) || await getSellerLanguage(s.sellerId) || "en";
+  // Kept on the Offer Messages row so /offers/update can re-render the embed later
+  const details = {
+    orderHumanId,
+    productName: s.productName || null,
+    sku,
+    size,
+    ...sellerPrices(s, orderCurrency, currency),
+    vatType: s.vatType,
+    sellerCountry: s.sellerCountry,
+    clientCountry: order.buyerCountry,
+    showMax: false,
+  };
+  const { channelId, messageId, offerPrice } = await sendOfferMessageGateway({
+    ...details,
+    orderRecId,
+    sellerId: s.sellerId,
+    sellerName: s.sellerName,
+    inventoryRecordId: s.inventoryRecordId,
+    currency,
+    language,
+    quantity: s.quantity ?? 1,
+    orderQuantity: order.quantity ?? 1,
+    expiresAt,
+  });
+
+  // 👇 Log every message so /disable-offers can close them all later
+  try {
+    await logOfferMessage({
+      orderRecId,
+      sellerId: s.sellerId,
+      inventoryRecordId: s.inventoryRecordId,
+      channelId,
+      messageId,
+      offerPrice,
+      expiresAt,
+      orderQuantity: order.quantity ?? 1,
+      buyerCountry: order.buyerCountry,
+      currency,
+      language,
+      details,
+    });
+  } catch (e) {
+    console.warn("logOfferMessage warn:", e.message);
+  }
+
+  return { sellerId: s.sellerId, channelId, messageId, offerPrice, currency, language };
+}
+
+// Run `fn` over `items` with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return out;
+}
+
+async function queueRetry(order, s, { expiresAt, tier = 0, attempt = 0 }) {
+  if (attempt >= Number(OFFER_RETRY_MAX)) return false;
+  const delay = Number(OFFER_RETRY_BASE_SECONDS) * 1000 * 2 ** attempt;
+  if (expiresAt && Date.now() + delay >= new Date(expiresAt).getTime()) return false;
+  await enqueueOfferTier({
+    orderRecId: order.orderRecId,
+    kind: "Retry",
+    tier,
+    releaseAt: Date.now() + delay,
+    payload: { order, sellers: [s], expiresAt, attempt: attempt + 1 },
+  });
+  return true;
+}
+
+/**
+ * Message every seller with bounded concurrency. One failing seller never stops the others.
+ * Each result is { sellerId, inventoryRecordId, status: "sent" | "failed" | "skipped", … };
+ * failed sends are queued for a retry (Offer Queue, Kind = Retry) while attempts remain.
+ */
+export async function fanOutOffers(order, sellers, { expiresAt, tier = 0, attempt = 0 } = {}) {
+  const seen = new Set();
+  return mapWithConcurrency(sellers, Number(OFFERS_CONCURRENCY), async (s) => {
+    const base = { sellerId: s?.sellerId ?? null, inventoryRecordId: s?.inventoryRecordId ?? null };
+
+    if (!s?.sellerId || !s?.inventoryRecordId) {
+      return { ...base, status: "skipped", reason: "missing sellerId or inventoryRecordId" };
+    }
+    const key = `${s.sellerId}:${s.inventoryRecordId}`;
+    if (seen.has(key)) return { ...base, status: "skipped", reason: "duplicate seller/inventory in payload" };
+    seen.add(key);
+
+    try {
+      const { channelId, messageId, offerPrice, currency, language } = await sendOfferToSeller(order, s, { expiresAt });
+      return { ...base, status: "sent", channelId, messageId, offerPrice, currency, language };
+    } catch (e) {
+      console.warn(`offer send failed for ${s.sellerId} on ${order.orderRecId}:`, e.message);
+      let retryQueued = false;
+      try {
+        retryQueued = await queueRetry(order, s, { expiresAt, tier, attempt });
+      } catch (qe) {
+        console.warn("queueRetry warn:", qe.message);
+      }
+      return { ...base, status: "failed", reason: e.message, retryQueued };
+    }
+  });
+}
+
+/** Summarise fan-out results: 200 all good, 207 partial, 502 nothing could be sent. */
+export function summarizeFanOut(results) {
+  const count = (st) => results.filter(r => r.status === st).length;
+  const sentCount = count("sent");
+  const failedCount = count("failed");
+  const skippedCount = count("skipped");
+  const httpStatus = failedCount === 0 ? 200 : sentCount > 0 ? 207 : 502;
+  return { httpStatus, sentCount, failedCount, skippedCount, partial: httpStatus === 207 };
+}
+
+/**
+ * Disable the buttons of every still-open message in `msgs` (note `noteKey` in each seller's
+ * language) and record `status` on the rows that were closed. A message already deleted in
+ * Discord counts as closed. `markExpired` also ticks Expired. Returns how many were closed.
+ */
+export async function closeOfferMessages(msgs, noteKey, { status, vars = {}, markExpired = false } = {}) {
+  const open = msgs.filter(m => isOpenOfferStatus(m.status));
+  const results = await Promise.allSettled(
+    open.map(m => disableMessageButtonsGateway(m.channelId, m.messageId, t(m.language, noteKey, vars), m.language))
+  );
+  const closed = open.filter((m, i) => results[i].status === "fulfilled" || /→ 404\b/.test(results[i].reason?.message));
+  const ids = closed.map(m => m.recordId).filter(Boolean);
+  if (ids.length && status) {
+    await (markExpired ? markOfferMessagesExpired(ids, status) : setOfferMessageStatus(ids, { status }))
+      .catch(e => console.warn("offer status warn:", e.message));
+  }
+  return closed.length;
+}
+
+/**
+ * Close every open offer message for an Inventory record (e.g. the seller set stock to 0).
+ * Rows are ticked Expired with status Out of Stock. Returns how many were closed.
+ */
+export async function closeOffersForInventory(inventoryRecordId, noteKey = "note.outOfStock") {
+  const msgs = await listOpenOfferMessagesForInventory(inventoryRecordId);
+  return closeOfferMessages(msgs, noteKey, { status: OFFER_STATUS.OUT_OF_STOCK, markExpired: true });
+}
+
+// Seller price fields in an /offers or /offers/update payload, converted to the seller's
+// currency. `base` keeps the same prices in EUR, converted once from the payload, so a sale at
+// the offered price is booked at exactly that EUR amount (no round trip through `to`).
+function sellerPrices(s, from, to) {
+  const prices = {
+    suggested: s.normalizedSuggested ?? s.sellingPriceSuggested,
+    adjustedMax: s.normalizedMax ?? s.maxBuyNormalized,
+  };
+  const out = { base: {} };
+  for (const [k, v] of Object.entries(prices)) {
+    if (v == null) continue;
+    out[k] = convert(v, from, to);
+    out.base[k] = convert(v, from, BASE_CURRENCY);
+  }
+  return out;
+}
+
+/**
+ * EUR amount of `price` when it is the price the offer message was rendered with (logged in
+ * Offer Details), else null: the caller converts it (e.g. a counter typed by the seller).
+ */
+export function baseOfferPrice(row, price) {
+  const d = row?.details;
+  if (!d?.base || price == null) return null;
+  const key = ["suggested", "adjustedMax"].find(k => d[k] === price && d.base[k] != null);
+  return key ? d.base[key] : null;
+}
+
+/**
+ * Re-render the order's open offer messages in place with changed details, instead of
+ * closing and re-sending them. `update`: { orderRecId, currency, size, sku, productName,
+ * note, sellers: [{ sellerId, inventoryRecordId?, normalizedSuggested?, normalizedMax? }] }.
+ * Only the keys present change. The new Offer Price goes to Offer Messages. With `notify`,
+ * sellers whose offer went up are pinged under their message.
+ * Each result is { sellerId, inventoryRecordId, messageId, status: "updated" | "skipped" | "failed", … }.
+ */
+export async function updateLiveOffers(update, { notify = false } = {}) {
+  const { orderRecId, currency: payloadCurrency = "EUR", sellers = [] } = update;
+  const common = Object.fromEntries(
+    ["size", "sku", "productName", "note"].filter(k => k in update).map(k => [k, update[k] || null])
+  );
+
+  const msgs = (await listOfferMessagesForOrder(orderRecId))
+    .filter(m => isOpenOfferStatus(m.status) && !m.expired && !isExpired(m.expiresAt));
+
+  return mapWithConcurrency(msgs, Number(OFFERS_CONCURRENCY), async (m) => {
+    const base = { sellerId: m.sellerId, inventoryRecordId: m.inventoryRecordId, messageId: m.messageId };
+    const s = sellers.find(x => x?.sellerId === m.sellerId &&
+      (!x.inventoryRecordId || x.inventoryRecordId === m.inventoryRecordId));
+    const prices = s ? sellerPrices(s, payloadCurrency, m.currency) : { base: {} };
+    const changes = { ...common, ...prices };
+    delete changes.base;
+    if (!Object.keys(changes).length) return { ...base, status: "skipped", reason: "nothing changed for this seller" };
+    if (!m.details) return { ...base, status: "skipped", reason: "sent before Offer Details was logged; re-send instead" };
+
+    const details = { ...m.details, ...changes, base: { ...m.details.base, ...prices.base } };
+    const ids = {
+      orderRecId,
+      sellerId: m.sellerId,
+      inventoryRecordId: m.inventoryRecordId,
+      currency: m.currency,
+      language: m.language || "en",
+      orderQuantity: m.orderQuantity,
+      expiresAt: m.expiresAt,
+    };
+    try {
+      const edited = await editOfferMessageGateway(m.channelId, m.messageId, { ...details, ...ids }, { ...m.details, ...ids });
+      if (!edited) return { ...base, status: "skipped", reason: "offer already closed" };
+      const { offerPrice } = edited;
+      await updateOfferMessageDetails(m.recordId, { offerPrice, details })
+        .catch(e => console.warn("offer details warn:", e.message));
+
+      const raised = offerPrice != null && m.offerPrice != null && offerPrice > m.offerPrice;
+      let pinged = false;
+      if (notify && raised) {
+        try {
+          await sendOfferPing(m.channelId, m.messageId, {
+            content: t(m.language, "offer.raised", { price: formatMoney(offerPrice, m.currency) }),
+            ...await getSellerMentions(m.sellerId),
+          });
+          pinged = true;
+        } catch (e) {
+          console.warn(`offer ping failed for ${m.sellerId} on ${orderRecId}:`, e.message);
+        }
+      }
+      return { ...base, status: "updated", offerPrice, previousOfferPrice: m.offerPrice, currency: m.currency, pinged };
+    } catch (e) {
+      console.warn(`offer update failed for ${m.sellerId} on ${orderRecId}:`, e.message);
+      return { ...base, status: "failed", reason: e.message };
+    }
+  });
+}
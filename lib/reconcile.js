@@ -0,0 +1,144 @@
+// lib/reconcile.js
+// Finds and repairs inconsistencies between Sales, Inventory and order status:
+//   1) Booking Log rows that crashed mid-saga, failed to compensate, or need repair
+//   2) Orders whose Sales already fill them but that are not marked Matched
+import { closeOfferMessages } from "./offers.js";
+import { isClosedOrderStatus } from "./booking.js";
+import {
+  listBookingsNeedingRepair,
+  updateBookingLog,
+  saleRecordExists,
+  findSaleByBookingKey,
+  deleteSaleRecord,
+  adjustInventoryQuantity,
+  getInventoryState,
+  countSalesForOrder,
+  listRecentSales,
+  getOrderStatus,
+  setOrderMatchedStatus,
+  listOfferMessagesForOrder,
+  OFFER_STATUS,
+} from "./storage.js";
+import { scheduleEvery } from "./scheduler.js";
+
+const {
+  RECONCILE_INTERVAL_MINUTES = "15",  // 0 = only on demand (POST /reconcile)
+  RECONCILE_LOOKBACK_DAYS = "7",
+  RECONCILE_STALE_MINUTES = "10",     // a Running booking older than this is considered crashed
+} = process.env;
+
+const stepStatus = (log, name) => {
+  const entries = (log?.steps || []).filter(s => s.step === name);
+  return entries.length ? entries[entries.length - 1].status : null;
+};
+const stepResult = (log, name) => (log?.steps || []).find(s => s.step === name && s.status === "done")?.result;
+
+// Order quantity is only known from the Offer Messages log; null when the order has no rows there
+async function orderQuantityOf(orderRecId) {
+  const msgs = await listOfferMessagesForOrder(orderRecId);
+  if (!msgs.length) return null;
+  return Math.max(1, ...msgs.map(m => m.orderQuantity || 1));
+}
+
+async function closeOrderOffers(orderRecId) {
+  const msgs = await listOfferMessagesForOrder(orderRecId);
+  await closeOfferMessages(msgs, "note.matched", { status: OFFER_STATUS.MATCHED_ELSEWHERE });
+}
+
+async function ensureMatched(orderRecId, quantity, dryRun, report) {
+  const filled = await countSalesForOrder(orderRecId);
+  if (filled < quantity) return;
+  const status = await getOrderStatus(orderRecId);
+  // Only an open order is promoted; Matched, Fulfilled, Closed, … are left as they are
+  if (isClosedOrderStatus(status)) return;
+  report.push({ orderRecId, issue: `filled (${filled}/${quantity}) but status is "${status || "empty"}"`, action: "mark Matched + close offers" });
+  if (dryRun) return;
+  await setOrderMatchedStatus(orderRecId, "Matched");
+  await closeOrderOffers(orderRecId);
+}
+
+/**
+ * Repair one booking.
+ * - Failed: a compensation did not finish → finish undoing (delete sale, restore stock).
+ * - Running (crashed) / Needs Repair: if the sale exists, roll forward (stock + status);
+ *   if it never got created there is nothing to undo.
+ * A sale id that never made it into the log is looked up by the booking key on the Sales row.
+ * A crash can land between the stock write and its log entry, so an unlogged decrement is only
+ * redone when the stock is not already below what prepareSale saw.
+ */
+async function repairBooking(b, { dryRun, report }) {
+  const { log, orderRecId, inventoryRecordId } = b;
+  const quantity = log?.context?.quantity || 1;
+  const saleId = b.saleId || stepResult(log, "createSale")?.saleId ||
+    (await findSaleByBookingKey(log?.context?.bookingKey)) || null;
+  const saleExists = saleId ? await saleRecordExists(saleId) : false;
+  const decremented = stepStatus(log, "decrementInventory") === "done";
+  const decrementBefore = stepResult(log, "decrementInventory")?.before;
+  const restored = stepStatus(log, "decrementInventory") === "compensated";
+  const actions = [];
+
+  if (b.status === "Failed") {
+    if (saleExists) actions.push(["delete sale " + saleId, () => deleteSaleRecord(saleId)]);
+    if (decremented && !restored && decrementBefore > 0) {
+      actions.push(["restore stock +1", () => adjustInventoryQuantity(inventoryRecordId, +1)]);
+    }
+    actions.push(["mark Compensated", () => updateBookingLog(b.recordId, { status: "Compensated", error: null })]);
+  } else if (saleExists) {
+    if (!decremented) {
+      const seen = stepResult(log, "prepareSale")?.currentQty;
+      const now = (await getInventoryState(inventoryRecordId))?.quantity;
+      if (seen != null && now != null && now < seen) {
+        actions.push([`stock already decremented (${seen} → ${now})`, async () => {}]);
+      } else {
+        actions.push(["decrement stock -1", () => adjustInventoryQuantity(inventoryRecordId, -1)]);
+      }
+    }
+    actions.push(["ensure order status", () => ensureMatched(orderRecId, quantity, dryRun, report)]);
+    actions.push(["mark Completed", () => updateBookingLog(b.recordId, { status: "Completed", saleId, error: null })]);
+  } else {
+    actions.push(["mark Compensated (no sale)", () => updateBookingLog(b.recordId, { status: "Compensated", error: null })]);
+  }
+
+  report.push({ booking: b.recordId, orderRecId, status: b.status, actions: actions.map(a => a[0]) });
+  if (dryRun) return;
+  for (const [, fn] of actions) await fn();
+}
+
+/** Run a full reconciliation pass. Returns a report of what was found (and fixed unless dryRun). */
+export async function reconcile({ dryRun = false } = {}) {
+  const report = [];
+  const errors = [];
+
+  const bookings = await listBookingsNeedingRepair(Number(RECONCILE_STALE_MINUTES));
+  for (const b of bookings) {
+    try {
+      await repairBooking(b, { dryRun, report });
+    } catch (e) {
+      errors.push({ booking: b.recordId, error: e.message });
+    }
+  }
+
+  const sales = await listRecentSales(Number(RECONCILE_LOOKBACK_DAYS));
+  const orders = [...new Set(sales.flatMap(s => s.orderRecIds))];
+  for (const orderRecId of orders) {
+    try {
+      // Without a known quantity a multi-pair order could be closed early: leave it alone
+      const quantity = await orderQuantityOf(orderRecId);
+      if (quantity == null) continue;
+      await ensureMatched(orderRecId, quantity, dryRun, report);
+    } catch (e) {
+      errors.push({ orderRecId, error: e.message });
+    }
+  }
+
+  if (report.length || errors.length) {
+    console.log(`🧮 Reconcile${dryRun ? " (dry run)" : ""}: ${report.length} finding(s), ${errors.length} error(s)`);
+  }
+  return { dryRun, bookingsChecked: bookings.length, ordersChecked: orders.length, findings: report, errors };
+}
+
+export function startReconciler() {
+  const minutes = Number(RECONCILE_INTERVAL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) return;
+  scheduleEvery("reconcile", minutes * 60_000, () => reconcile());
+}
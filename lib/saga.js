@@ -0,0 +1,89 @@
+// lib/saga.js
+// Minimal saga runner: run steps in order, record every step, and on failure undo the
+// completed steps in reverse via their `compensate`. Steps marked `onFailure: "repair"`
+// come after the point of no return: their failure is recorded as "Needs Repair" for the
+// reconciler instead of rolling back a sale that is otherwise fine. Steps marked
+// `recordStart` are logged as "started" before they run, so a crash halfway through one
+// (e.g. after a POST went out but before its result came back) is visible in the log.
+
+const nullRecorder = {
+  start: async () => null,
+  update: async () => {},
+};
+
+/**
+ * @param {string} name
+ * @param {Array<{ name: string, run: Function, compensate?: Function, onFailure?: "compensate"|"repair", recordStart?: boolean }>} steps
+ *        run(ctx, results) → result; compensate(ctx, result, results)
+ * @param {object} ctx       plain, JSON-serialisable context (recorded with the log)
+ * @param {object} recorder  { start(log) → id, update(id, { status, log, error, saleId }) }
+ * @returns {{ status: "Completed"|"Needs Repair", results: object, log: object }}
+ *          throws the original step error after compensating ("Compensated" / "Failed")
+ */
+export async function runSaga(name, steps, ctx, recorder = nullRecorder) {
+  const log = { saga: name, context: ctx, steps: [] };
+  const results = {};
+  const done = [];
+  let id = null;
+
+  const record = async (patch) => {
+    if (!id) return;
+    try {
+      await recorder.update(id, { ...patch, log });
+    } catch (e) {
+      console.warn(`[saga:${name}] record warn:`, e.message);
+    }
+  };
+  const note = (step, status, extra = {}) =>
+    log.steps.push({ step, status, at: new Date().toISOString(), ...extra });
+
+  try {
+    id = await recorder.start(log);
+  } catch (e) {
+    console.warn(`[saga:${name}] could not open a log record:`, e.message);
+  }
+
+  for (const step of steps) {
+    if (step.recordStart) {
+      note(step.name, "started");
+      await record({});
+    }
+    try {
+      const result = await step.run(ctx, results);
+      results[step.name] = result;
+      done.push(step);
+      note(step.name, "done", { result });
+      await record({ saleId: results.createSale?.saleId });
+    } catch (err) {
+      note(step.name, "failed", { error: err.message });
+
+      if (step.onFailure === "repair") {
+        console.error(`[saga:${name}] step "${step.name}" failed after the point of no return:`, err.message);
+        await record({ status: "Needs Repair", error: `${step.name}: ${err.message}` });
+        return { status: "Needs Repair", results, log };
+      }
+
+      console.error(`[saga:${name}] step "${step.name}" failed, compensating:`, err.message);
+      let compensationFailed = false;
+      for (const prev of [...done].reverse()) {
+        if (!prev.compensate) continue;
+        try {
+          await prev.compensate(ctx, results[prev.name], results);
+          note(prev.name, "compensated");
+        } catch (ce) {
+          compensationFailed = true;
+          note(prev.name, "compensation-failed", { error: ce.message });
+          console.error(`[saga:${name}] compensation for "${prev.name}" failed:`, ce.message);
+        }
+      }
+      await record({
+        status: compensationFailed ? "Failed" : "Compensated",
+        error: `${step.name}: ${err.message}`,
+      });
+      throw err;
+    }
+  }
+
+  await record({ status: "Completed", error: null });
+  return { status: "Completed", results, log };
+}
@@ -0,0 +1,152 @@
+// lib/sandbox.js
+// DISCORD_SANDBOX=true: an in-process fake Discord. discordRequest() is answered from memory
+// (channels, messages, their components and every edit), initDiscord() skips the gateway
+// login, and clickSandbox() feeds synthetic interactions to the real handlers, so the whole
+// offer → confirm → close-all flow (and races between clicks) runs on a laptop.
+import { EventEmitter } from "node:events";
+import { Events } from "discord.js";
+
+const { DISCORD_SANDBOX } = process.env;
+
+export const SANDBOX = String(DISCORD_SANDBOX).toLowerCase() === "true";
+
+/* -------------------- state -------------------- */
+const channels = new Map(); // id → { id, type, name, parent_id }
+const messages = new Map(); // id → { id, channel_id, content, embeds, components, timestamp, edits }
+let seq = 0n;
+// Snowflake-looking ids that sort by creation
+const snowflake = () => String((BigInt(Date.now()) << 22n) + (seq++ % 4096n));
+
+const notFound = (label, what) => new Error(`${label} → 404 {"message":"Unknown ${what}","code":10008}`);
+const copy = (x) => structuredClone(x);
+
+/** Forget every channel and message. */
+export function resetSandbox() {
+  channels.clear();
+  messages.clear();
+}
+
+/* -------------------- REST -------------------- */
+const routes = [
+  ["GET", /^\/guilds\/[^/]+\/channels$/, () => [...channels.values()].map(copy)],
+  ["POST", /^\/guilds\/[^/]+\/channels$/, (_m, body) => {
+    const ch = { id: snowflake(), type: body.type ?? 0, name: body.name, parent_id: body.parent_id ?? null };
+    channels.set(ch.id, ch);
+    return copy(ch);
+  }],
+  ["POST", /^\/channels\/([^/]+)\/messages$/, ([, channelId], body) => {
+    const msg = {
+      id: snowflake(),
+      channel_id: channelId,
+      content: body.content ?? "",
+      embeds: body.embeds ?? [],
+      components: body.components ?? [],
+      timestamp: new Date().toISOString(),
+      edits: [],
+    };
+    messages.set(msg.id, msg);
+    return copy(msg);
+  }],
+  ["GET", /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ([, channelId, id], _body, label) => {
+    const msg = messages.get(id);
+    if (!msg || msg.channel_id !== channelId) throw notFound(label, "Message");
+    return copy(msg);
+  }],
+  ["PATCH", /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ([, channelId, id], body, label) => {
+    const msg = messages.get(id);
+    if (!msg || msg.channel_id !== channelId) throw notFound(label, "Message");
+    const changes = Object.fromEntries(Object.entries(body).filter(([, v]) => v !== undefined));
+    Object.assign(msg, changes);
+    msg.edits.push({ at: new Date().toISOString(), ...copy(changes) });
+    return copy(msg);
+  }],
+  ["PUT", /^\/applications\/[^/]+\/guilds\/[^/]+\/commands$/, (_m, body) => copy(body)],
+];
+
+/** Stand-in for discordRequest(); same errors (`${label} → 404 …`) for unknown messages. */
+export async function sandboxRequest(method, path, body, label) {
+  for (const [verb, re, fn] of routes) {
+    const m = verb === method && path.match(re);
+    if (m) return fn(m, body || {}, label);
+  }
+  throw new Error(`${label} → 404 sandbox has no route for ${method} ${path}`);
+}
+
+/* -------------------- gateway -------------------- */
+let client = null;
+
+/** A Client look-alike: event emitter + the bits initDiscord() and the handlers read. */
+export function sandboxClient() {
+  client ??= Object.assign(new EventEmitter(), {
+    user: { id: "0", tag: "sandbox#0000" },
+    application: { id: "0" },
+    login: async () => {},
+  });
+  return client;
+}
+
+/** Messages, newest last; filter by channel or by a custom_id fragment (e.g. an order id). */
+export function listSandboxMessages({ channelId, match } = {}) {
+  return [...messages.values()]
+    .filter(m => !channelId || m.channel_id === channelId)
+    .filter(m => !match || JSON.stringify(m.components).includes(match))
+    .map(m => ({ ...copy(m), channel: channels.get(m.channel_id)?.name ?? null }));
+}
+
+const buttonsOf = (msg) => (msg.components || []).flatMap(row => row.components || []);
+const findButtonMessage = (customId) =>
+  [...messages.values()].reverse().find(m => buttonsOf(m).some(b => b.custom_id === customId));
+
+/**
+ * Deliver one synthetic interaction to every InteractionCreate listener and wait for them.
+ *  - button:  { customId, messageId? } — the button must be on the message and enabled
+ *  - modal:   { customId: "counter_modal|…", fields: { price: "120" } }
+ *  - select:  { customId: "deny_reason|<messageId>", values: ["price_too_low"] }
+ * Returns what the bot answered (deferred / reply / modal / follow-ups / edits).
+ */
+export async function clickSandbox({ customId, messageId, userId = "sandbox-user", userTag, roleIds = [], locale = "en-US", fields, values }) {
+  if (!client) throw new Error("Sandbox client not started");
+  const kind = fields ? "modal" : values ? "select" : "button";
+
+  let msg = null;
+  if (kind === "button") {
+    msg = messageId ? messages.get(messageId) : findButtonMessage(customId);
+    const button = msg && buttonsOf(msg).find(b => b.custom_id === customId);
+    if (!button) throw Object.assign(new Error(`No button "${customId}"${messageId ? ` on message ${messageId}` : ""}`), { status: 404 });
+    if (button.disabled) throw Object.assign(new Error(`Button "${customId}" is disabled`), { status: 409 });
+  } else if (kind === "modal") {
+    // The modal was opened from the offer's Counter button: same ids after the action
+    msg = messageId ? messages.get(messageId) : findButtonMessage(`counter|${customId.split("|").slice(1).join("|")}`);
+  } else {
+    // The reason prompt is ephemeral, in the offer's channel; its custom_id ends with the offer's message id
+    msg = messages.get(messageId ?? customId.split("|").pop()) ?? null;
+  }
+
+  const answer = { kind, deferred: false, reply: null, modal: null, followUps: [], edits: [] };
+  const interaction = {
+    customId,
+    locale,
+    channelId: msg?.channel_id ?? null,
+    message: msg ? { id: msg.id } : null,
+    user: { id: userId, tag: userTag || userId },
+    member: { roles: roleIds },
+    values,
+    fields: { getTextInputValue: (name) => fields?.[name] ?? "" },
+    deferred: false,
+    replied: false,
+    isButton: () => kind === "button",
+    isModalSubmit: () => kind === "modal",
+    isStringSelectMenu: () => kind === "select",
+    isAutocomplete: () => false,
+    isChatInputCommand: () => false,
+    async deferUpdate() { interaction.deferred = answer.deferred = true; },
+    async deferReply() { interaction.deferred = answer.deferred = true; },
+    async reply(r) { interaction.replied = true; answer.reply = copy(r); },
+    async showModal(m) { interaction.replied = true; answer.modal = copy(m); },
+    async followUp(r) { answer.followUps.push(copy(r)); },
+    async editReply(r) { answer.edits.push(copy(r)); },
+  };
+
+  await Promise.all(client.listeners(Events.InteractionCreate).map(fn => fn(interaction)));
+  return { ...answer, message: msg ? listSandboxMessages().find(m => m.id === msg.id) : null };
+}
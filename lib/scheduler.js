@@ -0,0 +1,34 @@
+// lib/scheduler.js
+// Tiny interval runner for background jobs. State lives in Airtable, so a job
+// simply picks up where it left off after a restart.
+
+const timers = new Map();
+
+/**
+ * Run `fn` every `ms` milliseconds (and once right away). A run never overlaps
+ * the previous one; errors are logged and the schedule keeps going.
+ */
+export function scheduleEvery(name, ms, fn) {
+  if (timers.has(name)) return;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`[job:${name}] error:`, e.message);
+    } finally {
+      running = false;
+    }
+  };
+  const t = setInterval(tick, ms);
+  t.unref?.();
+  timers.set(name, t);
+  setImmediate(tick);
+}
+
+export function stopJob(name) {
+  clearInterval(timers.get(name));
+  timers.delete(name);
+}
@@ -0,0 +1,311 @@
+// lib/selfcheck.js
+// Catches configuration mistakes before a seller's click runs into them:
+//   Airtable — every configured table and FIELD_* column exists (metadata API) with a type
+//              the bot can write, and single selects have the options the bot writes
+//   Discord  — the bot sees the guild, has the permissions it needs (guild level; channel
+//              overrides are not evaluated), and each seller has a category + channels
+// Runs at startup (SELF_CHECK=warn logs, SELF_CHECK=fail stops the boot) and on
+// GET /health?deep=1.
+import * as at from "./airtable.js";
+import { listSellers, storageBackend, OFFER_STATUS } from "./storage.js";
+import { claimBackend } from "./claims.js";
+import { discordRequest } from "./discord-rest.js";
+import { inspectSellerChannels } from "./channels.js";
+import { DENY_REASONS } from "./discord.js";
+import { SANDBOX } from "./sandbox.js";
+import { t } from "./i18n.js";
+
+const {
+  SELF_CHECK = "warn", // off | warn (log problems) | fail (refuse to boot on errors)
+  DISCORD_GUILD_ID,
+  DISCORD_CHANNEL_ID,
+} = process.env;
+
+const SELF_CHECK_MODES = ["off", "warn", "fail"];
+if (!SELF_CHECK_MODES.includes(SELF_CHECK)) {
+  throw new Error(`Unknown SELF_CHECK "${SELF_CHECK}" (use ${SELF_CHECK_MODES.join(" | ")})`);
+}
+
+/* -------------------- Airtable -------------------- */
+const TEXT = ["singleLineText", "multilineText", "richText"];
+// Column kinds → Airtable field types the bot's reads/writes work with (null = any, read only)
+const KINDS = {
+  text: [...TEXT, "singleSelect"],
+  select: [...TEXT, "singleSelect"],
+  number: ["number", "currency", "percent"],
+  checkbox: ["checkbox"],
+  date: ["dateTime", "date"],
+  link: ["multipleRecordLinks"],
+  read: null,
+};
+
+// table → [[field, kind, select options the bot writes]]
+const schema = () => ({
+  [at.AIRTABLE_TABLE_ORDERS]: [
+    [at.FIELD_ORDER_STATUS, "select", ["Matched"]],
+  ],
+  [at.AIRTABLE_TABLE_INVENTORY]: [
+    [at.FIELD_INV_QTY, "number"],
+    [at.FIELD_INV_PRODUCT_NAME, "read"],
+    [at.FIELD_INV_SIZE, "read"],
+    [at.FIELD_INV_BRAND, "read"],
+    [at.FIELD_INV_VAT_TYPE, "read"],
+    [at.FIELD_INV_LINK_SKU_MASTER, "link"],
+    [at.FIELD_INV_LINKED_SELLER, "link"],
+    [at.FIELD_INV_SELLER_ID_LOOKUP, "read"],
+    [at.FIELD_INV_SELLER_COUNTRY, "read"],
+    [at.FIELD_INV_ASKING_PRICE, "number"],
+    [at.FIELD_INV_UNAVAILABLE, "checkbox"],
+  ],
+  [at.AIRTABLE_TABLE_SALES]: [
+    [at.FIELD_SALE_PRODUCT_NAME, "text"],
+    [at.FIELD_SALE_SKU_LINK, "link"],
+    [at.FIELD_SALE_SIZE, "text"],
+    [at.FIELD_SALE_BRAND, "text"],
+    [at.FIELD_SALE_FINAL_PRICE, "number"],
+    [at.FIELD_SALE_ORIGINAL_PRICE, "number"],
+    [at.FIELD_SALE_CURRENCY, "select"],
+    [at.FIELD_SALE_FX_RATE, "number"],
+    [at.FIELD_SALE_FX_AS_OF, "date"],
+    [at.FIELD_SALE_VAT_TYPE, "select"],
+    [at.FIELD_SALE_SELLER_LINK, "link"],
+    [at.FIELD_SALE_ORDER_LINK, "link"],
+    [at.FIELD_SALE_BOOKING_KEY, "text"],
+  ],
+  [at.AIRTABLE_TABLE_OFFER_MSGS]: [
+    [at.FIELD_OFFERS_ORDER_ID, "text"],
+    [at.FIELD_OFFERS_CHANNEL_ID, "text"],
+    [at.FIELD_OFFERS_MESSAGE_ID, "text"],
+    [at.FIELD_OFFERS_SELLER_ID, "text"],
+    [at.FIELD_OFFERS_INV_ID, "text"],
+    [at.FIELD_OFFERS_OFFER_PRICE, "number"],
+    [at.FIELD_OFFERS_COUNTER_PRICE, "number"],
+    [at.FIELD_OFFERS_COUNTER_STATUS, "select", ["Pending", "Accepted", "Rejected"]],
+    [at.FIELD_OFFERS_EXPIRES_AT, "date"],
+    [at.FIELD_OFFERS_EXPIRED, "checkbox"],
+    [at.FIELD_OFFERS_ORDER_QTY, "number"],
+    [at.FIELD_OFFERS_BUYER_COUNTRY, "text"],
+    [at.FIELD_OFFERS_CURRENCY, "text"],
+    [at.FIELD_OFFERS_LANGUAGE, "text"],
+    [at.FIELD_OFFERS_STATUS, "select", Object.values(OFFER_STATUS)],
+    [at.FIELD_OFFERS_STATUS_AT, "date"],
+    [at.FIELD_OFFERS_RESPONDER, "text"],
+    [at.FIELD_OFFERS_DENY_REASON, "select", DENY_REASONS.map(r => t("en", `deny.reasons.${r}`))],
+    [at.FIELD_OFFERS_DETAILS, "text"],
+  ],
+  [at.AIRTABLE_TABLE_OFFER_QUEUE]: [
+    [at.FIELD_QUEUE_ORDER_ID, "text"],
+    [at.FIELD_QUEUE_TIER, "number"],
+    [at.FIELD_QUEUE_RELEASE_AT, "date"],
+    [at.FIELD_QUEUE_PAYLOAD, "text"],
+    [at.FIELD_QUEUE_STATUS, "select", ["Pending", "Sent", "Cancelled"]],
+    [at.FIELD_QUEUE_KIND, "select", ["Tier", "Retry"]],
+  ],
+  [at.AIRTABLE_TABLE_SELLERS]: [
+    [at.FIELD_SELLER_ID, "read"],
+    [at.FIELD_SELLER_NAME, "read"],
+    [at.FIELD_SELLER_DISCORD_USERS, "read"],
+    [at.FIELD_SELLER_DISCORD_ROLES, "read"],
+    [at.FIELD_SELLER_LANGUAGE, "read"],
+    [at.FIELD_SELLER_LAST_SCORECARD, "date"],
+  ],
+  [at.AIRTABLE_TABLE_CLICKS]: [
+    [at.FIELD_CLICK_ORDER_ID, "text"],
+    [at.FIELD_CLICK_SELLER_ID, "text"],
+    [at.FIELD_CLICK_INV_ID, "text"],
+    [at.FIELD_CLICK_MESSAGE_ID, "text"],
+    // typecast only adds a missing select option when the token may edit the schema
+    [at.FIELD_CLICK_ACTION, "select", ["confirm", "deny", "counter", "counter_accept", "counter_reject"]],
+    [at.FIELD_CLICK_USER_ID, "text"],
+    [at.FIELD_CLICK_USER_TAG, "text"],
+    [at.FIELD_CLICK_AUTHORIZED, "checkbox"],
+    [at.FIELD_CLICK_AT, "date"],
+  ],
+  [at.AIRTABLE_TABLE_BOOKINGS]: [
+    [at.FIELD_BOOK_ORDER_ID, "text"],
+    [at.FIELD_BOOK_INV_ID, "text"],
+    [at.FIELD_BOOK_SELLER_ID, "text"],
+    [at.FIELD_BOOK_STATUS, "select", ["Running", "Completed", "Compensated", "Failed", "Needs Repair"]],
+    [at.FIELD_BOOK_SALE_ID, "text"],
+    [at.FIELD_BOOK_STEPS, "text"],
+    [at.FIELD_BOOK_ERROR, "text"],
+    [at.FIELD_BOOK_UPDATED_AT, "date"],
+  ],
+  ...(claimBackend === "storage" ? {
+    [at.AIRTABLE_TABLE_CLAIMS]: [
+      [at.FIELD_CLAIM_KEY, "text"],
+      [at.FIELD_CLAIM_TOKEN, "text"],
+      [at.FIELD_CLAIM_SOLD, "checkbox"],
+    ],
+  } : {}),
+});
+
+// Writes to these are best effort (waterfall queue, booking log, click log): the bot runs
+// without them, so their problems are warnings
+const optionalTables = () => new Set([at.AIRTABLE_TABLE_OFFER_QUEUE, at.AIRTABLE_TABLE_BOOKINGS, at.AIRTABLE_TABLE_CLICKS]);
+
+async function checkAirtable(problem) {
+  if (storageBackend !== "airtable") return { skipped: `STORAGE_BACKEND=${storageBackend}` };
+  let tables;
+  try {
+    tables = await at.getBaseSchema();
+  } catch (e) {
+    const scope = /→ 40[13]\b/.test(e.message) ? " (the token needs the schema.bases:read scope)" : "";
+    problem("error", "airtable", "base", `metadata API failed${scope}: ${e.message}`);
+    return { tables: 0, fields: 0 };
+  }
+  const byName = new Map(tables.map(tb => [tb.name, tb]));
+  let fields = 0;
+  const optional = optionalTables();
+  for (const [table, columns] of Object.entries(schema())) {
+    const level = optional.has(table) ? "warning" : "error";
+    const tb = byName.get(table);
+    if (!tb) {
+      problem(level, "airtable", table, "table not found");
+      continue;
+    }
+    const cols = new Map(tb.fields.map(f => [f.name, f]));
+    for (const [name, kind, options = []] of columns) {
+      fields++;
+      const target = `${table}.${name}`;
+      const f = cols.get(name);
+      if (!f) {
+        problem(level, "airtable", target, "field not found");
+        continue;
+      }
+      if (KINDS[kind] && !KINDS[kind].includes(f.type)) {
+        problem(level, "airtable", target, `type ${f.type} is not ${kind} (${KINDS[kind].join(" / ")})`);
+        continue;
+      }
+      if (f.type === "singleSelect") {
+        const choices = new Set((f.options?.choices || []).map(c => c.name));
+        const missing = options.filter(o => !choices.has(o));
+        if (missing.length) problem(level, "airtable", target, `missing select option(s): ${missing.join(", ")}`);
+      }
+    }
+  }
+  return { tables: Object.keys(schema()).length, fields };
+}
+
+/* -------------------- Discord -------------------- */
+const PERMISSIONS = {
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_CHANNELS: 1n << 4n,
+  VIEW_CHANNEL: 1n << 10n,
+  SEND_MESSAGES: 1n << 11n,
+  EMBED_LINKS: 1n << 14n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+};
+
+async function checkDiscord(problem) {
+  if (SANDBOX) return { skipped: "DISCORD_SANDBOX" };
+  if (!DISCORD_GUILD_ID) {
+    try {
+      const ch = await discordRequest("GET", `/channels/${DISCORD_CHANNEL_ID}`, null, "get channel");
+      return { channel: ch.name };
+    } catch (e) {
+      problem("error", "discord", `channel ${DISCORD_CHANNEL_ID}`, `not visible to the bot: ${e.message}`);
+      return {};
+    }
+  }
+
+  let guild, me, member;
+  try {
+    [guild, me] = await Promise.all([
+      discordRequest("GET", `/guilds/${DISCORD_GUILD_ID}`, null, "get guild"),
+      discordRequest("GET", "/users/@me", null, "get bot user"),
+    ]);
+    member = await discordRequest("GET", `/guilds/${DISCORD_GUILD_ID}/members/${me.id}`, null, "get bot member");
+  } catch (e) {
+    problem("error", "discord", `guild ${DISCORD_GUILD_ID}`, `not visible to the bot: ${e.message}`);
+    return {};
+  }
+
+  // @everyone has the guild's id; the owner and Administrator have everything
+  const roles = new Map(guild.roles.map(r => [r.id, BigInt(r.permissions)]));
+  let perms = [guild.id, ...member.roles].reduce((acc, id) => acc | (roles.get(id) ?? 0n), 0n);
+  if (guild.owner_id === me.id || perms & PERMISSIONS.ADMINISTRATOR) perms = ~0n;
+
+  const sellers = (await listSellers()).filter(s => s.sellerName || s.sellerId);
+  let creatable = false;
+  let missingCategories = 0, missingChannels = 0;
+  for (const s of sellers) {
+    const name = s.sellerName || s.sellerId;
+    const found = await inspectSellerChannels(name);
+    creatable = found.creatable;
+    const level = found.creatable ? "warning" : "error";
+    if (!found.category) {
+      missingCategories++;
+      problem(level, "discord", `seller ${s.sellerId || name}`, `no category "${name}"`);
+    } else if (found.missing.length) {
+      missingChannels += found.missing.length;
+      problem(level, "discord", `seller ${s.sellerId || name}`, `missing #${found.missing.join(", #")} under "${name}"`);
+    }
+  }
+
+  const needed = ["VIEW_CHANNEL", "SEND_MESSAGES", "EMBED_LINKS", "READ_MESSAGE_HISTORY"];
+  if (creatable) needed.push("MANAGE_CHANNELS");
+  const missingPermissions = needed.filter(p => !(perms & PERMISSIONS[p]));
+  if (missingPermissions.length) {
+    problem("error", "discord", `guild ${guild.name}`, `bot lacks ${missingPermissions.join(", ")}`);
+  }
+
+  return { guild: guild.name, bot: me.username, missingPermissions, sellers: sellers.length, missingCategories, missingChannels };
+}
+
+/* -------------------- run -------------------- */
+let running = null;
+
+/**
+ * Run every check. `ok` is false when there is any error; warnings (e.g. channels the bot
+ * will create on first use) do not count. Concurrent callers share one run.
+ */
+export function runSelfCheck() {
+  running ??= (async () => {
+    const started = Date.now();
+    const problems = [];
+    const problem = (level, area, target, message) => problems.push({ level, area, target, message });
+    const [airtable, discord] = await Promise.all([
+      checkAirtable(problem),
+      checkDiscord(problem).catch(e => {
+        problem("error", "discord", "check", e.message);
+        return {};
+      }),
+    ]);
+    const errors = problems.filter(p => p.level === "error").length;
+    return {
+      ok: errors === 0,
+      checkedAt: new Date().toISOString(),
+      durationMs: Date.now() - started,
+      errors,
+      warnings: problems.length - errors,
+      airtable,
+      discord,
+      problems,
+    };
+  })().finally(() => { running = null; });
+  return running;
+}
+
+function logReport(report) {
+  for (const p of report.problems) {
+    (p.level === "error" ? console.error : console.warn)(`🩺 ${p.area} ${p.target}: ${p.message}`);
+  }
+  console.log(`🩺 Self-check: ${report.errors} error(s), ${report.warnings} warning(s)`);
+  return report;
+}
+
+/**
+ * Startup hook. SELF_CHECK=warn logs the result in the background; SELF_CHECK=fail waits for
+ * it and throws on errors, so the process exits before logging in or listening.
+ */
+export async function startupSelfCheck() {
+  if (SELF_CHECK === "off") return;
+  const run = runSelfCheck().then(logReport);
+  if (SELF_CHECK !== "fail") {
+    run.catch(e => console.warn("self-check warn:", e.message));
+    return;
+  }
+  const report = await run;
+  if (!report.ok) throw new Error(`Self-check failed with ${report.errors} error(s) (SELF_CHECK=fail)`);
+}
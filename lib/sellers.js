@@ -0,0 +1,149 @@
+// lib/sellers.js
+// Which Discord users/roles may act for a seller. Sources, merged:
+//   1) SELLER_DISCORD_MAP env (JSON) → { "SE-00481": { "users": ["…"], "roles": ["…"], "language": "nl", "currency": "GBP" } }
+//   2) Sellers table in Airtable (Discord User IDs / Discord Role IDs / Language / Currency columns)
+import { getSellerBySellerId, findSellerByName, findSellersByDiscord } from "./storage.js";
+import { categoryNameOf } from "./channels.js";
+import { normalizeLanguage } from "./i18n.js";
+import { BASE_CURRENCY, normalizeCurrency } from "./currency.js";
+
+const {
+  SELLER_DISCORD_MAP,
+  SELLER_AUTH = "enforce",            // "off" disables the check (clicks are still logged)
+  SELLER_AUTH_CACHE_SECONDS = "300",
+  DISCORD_STAFF_ROLE_IDS = "",        // comma separated; may accept/reject counter-offers
+} = process.env;
+
+let configMap = {};
+try {
+  configMap = SELLER_DISCORD_MAP ? JSON.parse(SELLER_DISCORD_MAP) : {};
+} catch (e) {
+  console.error("SELLER_DISCORD_MAP is not valid JSON, ignoring:", e.message);
+}
+
+const staffRoleIds = DISCORD_STAFF_ROLE_IDS.split(",").map(x => x.trim()).filter(Boolean);
+
+const cache = new Map(); // sellerId → { at, users:Set, roles:Set, language, currency }
+
+// A code missing from the rate table is ignored (with a warning) rather than breaking the seller
+const sellerCurrency = (sellerId, ...codes) => {
+  for (const code of codes.filter(Boolean)) {
+    try {
+      return normalizeCurrency(code);
+    } catch (e) {
+      console.warn(`seller ${sellerId}: ${e.message}`);
+    }
+  }
+  return null;
+};
+
+async function getSellerDiscordAccess(sellerId) {
+  const hit = cache.get(sellerId);
+  if (hit && Date.now() - hit.at < Number(SELLER_AUTH_CACHE_SECONDS) * 1000) return hit;
+
+  const fromConfig = configMap[sellerId] || {};
+  let fromAirtable = null;
+  try {
+    fromAirtable = await getSellerBySellerId(sellerId);
+  } catch (e) {
+    console.warn(`seller lookup failed for ${sellerId}:`, e.message);
+    if (hit) return hit; // keep serving the stale entry during an Airtable hiccup
+  }
+
+  const entry = {
+    at: Date.now(),
+    users: new Set([...(fromConfig.users || []), ...(fromAirtable?.discordUserIds || [])].map(String)),
+    roles: new Set([...(fromConfig.roles || []), ...(fromAirtable?.discordRoleIds || [])].map(String)),
+    language: normalizeLanguage(fromConfig.language) || normalizeLanguage(fromAirtable?.language),
+    currency: sellerCurrency(sellerId, fromConfig.currency, fromAirtable?.currency),
+  };
+  cache.set(sellerId, entry);
+  return entry;
+}
+
+/** Seller's message language ("en" / "nl" / "de"), or null if none is set. Never throws. */
+export async function getSellerLanguage(sellerId) {
+  if (!sellerId) return null;
+  try {
+    return (await getSellerDiscordAccess(sellerId)).language;
+  } catch (e) {
+    console.warn(`seller language lookup failed for ${sellerId}:`, e.message);
+    return null;
+  }
+}
+
+/** Currency the seller prices their stock in (Sellers `Currency`), EUR if none is set. Never throws. */
+export async function getSellerCurrency(sellerId) {
+  if (!sellerId) return BASE_CURRENCY;
+  try {
+    return (await getSellerDiscordAccess(sellerId)).currency || BASE_CURRENCY;
+  } catch (e) {
+    console.warn(`seller currency lookup failed for ${sellerId}:`, e.message);
+    return BASE_CURRENCY;
+  }
+}
+
+/** Discord users/roles linked to a seller, e.g. to mention them. */
+export async function getSellerMentions(sellerId) {
+  const access = await getSellerDiscordAccess(sellerId);
+  return { userIds: [...access.users], roleIds: [...access.roles] };
+}
+
+const hasAccess = (access, userId, roleIds = []) =>
+  access.users.has(String(userId)) || roleIds.some(r => access.roles.has(String(r)));
+
+/**
+ * Which seller a slash command is for. The category the command was used in wins
+ * (caller must be linked to that seller, or staff); otherwise the one seller the caller's
+ * account/roles are linked to. Returns { seller } or { reason } — an i18n key.
+ */
+export async function resolveCallerSeller({ userId, roleIds = [], channelId }) {
+  const category = await categoryNameOf(channelId).catch(e => {
+    console.warn("categoryNameOf warn:", e.message);
+    return null;
+  });
+  if (category) {
+    const seller = await findSellerByName(category);
+    if (seller && (isStaff(roleIds) || hasAccess(await getSellerDiscordAccess(seller.sellerId), userId, roleIds))) {
+      return { seller };
+    }
+  }
+
+  const fromConfig = Object.entries(configMap)
+    .filter(([, v]) => (v.users || []).map(String).includes(String(userId)) ||
+      (v.roles || []).some(r => roleIds.map(String).includes(String(r))))
+    .map(([id]) => id);
+  const fromAirtable = await findSellersByDiscord({ userId, roleIds });
+  const ids = [...new Set([...fromConfig, ...fromAirtable.map(s => s.sellerId)])];
+
+  if (ids.length > 1) return { reason: "commands.ambiguousSeller" };
+  if (!ids.length) return { reason: "commands.noSeller" };
+  const seller = fromAirtable.find(s => s.sellerId === ids[0]) || await getSellerBySellerId(ids[0]);
+  return seller ? { seller } : { reason: "commands.noSeller" };
+}
+
+export const isStaff = (roleIds = []) => roleIds.some(r => staffRoleIds.includes(String(r)));
+
+/**
+ * Decide whether a click may be processed.
+ * Seller actions need a user/role mapped to the button's sellerId; staff actions need a staff role.
+ * Returns { ok, reason, vars }: `reason` is a message catalog key (auth.*) shown to the clicker.
+ */
+export async function authorizeClick({ action, sellerId, userId, roleIds = [] }) {
+  if (String(SELLER_AUTH).toLowerCase() === "off") return { ok: true };
+
+  if (action === "counter_accept" || action === "counter_reject") {
+    return isStaff(roleIds)
+      ? { ok: true }
+      : { ok: false, reason: "auth.staffOnly" };
+  }
+
+  const access = await getSellerDiscordAccess(sellerId);
+  if (!access.users.size && !access.roles.size) {
+    return { ok: false, reason: "auth.sellerUnlinked", vars: { sellerId } };
+  }
+  if (hasAccess(access, userId, roleIds)) {
+    return { ok: true };
+  }
+  return { ok: false, reason: "auth.notYourOffer", vars: { sellerId } };
+}
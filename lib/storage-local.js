@@ -0,0 +1,483 @@
+// lib/storage-local.js
+// Local storage adapter (STORAGE_BACKEND=local, see lib/storage.js): every table in one JSON
+// file, for local runs, staging, or as a fallback while Airtable is down. Rows keep Airtable's
+// shape ({ id, createdTime, fields } with the same column names) and go through the same
+// mappers as lib/airtable.js, so a snapshot of the base imports as-is and every function
+// returns what the Airtable adapter would. One process only: there is no file locking.
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import {
+  TABLES,
+  AIRTABLE_TABLE_ORDERS,
+  AIRTABLE_TABLE_INVENTORY,
+  AIRTABLE_TABLE_SALES,
+  AIRTABLE_TABLE_OFFER_MSGS,
+  AIRTABLE_TABLE_OFFER_QUEUE,
+  AIRTABLE_TABLE_SELLERS,
+  AIRTABLE_TABLE_CLICKS,
+  AIRTABLE_TABLE_BOOKINGS,
+  AIRTABLE_TABLE_CLAIMS,
+  FIELD_INV_QTY,
+  FIELD_OFFERS_EXPIRED,
+  FIELD_OFFERS_COUNTER_PRICE,
+  FIELD_OFFERS_COUNTER_STATUS,
+  FIELD_QUEUE_ORDER_ID,
+  FIELD_QUEUE_TIER,
+  FIELD_QUEUE_RELEASE_AT,
+  FIELD_QUEUE_PAYLOAD,
+  FIELD_QUEUE_STATUS,
+  FIELD_QUEUE_KIND,
+  FIELD_SELLER_LAST_SCORECARD,
+  FIELD_CLAIM_KEY,
+  FIELD_CLAIM_TOKEN,
+  FIELD_CLAIM_SOLD,
+  FIELD_ORDER_STATUS,
+  FIELD_BOOK_ORDER_ID,
+  FIELD_BOOK_INV_ID,
+  FIELD_BOOK_SELLER_ID,
+  OFFER_STATUS,
+  isOpenOfferStatus,
+  toText,
+  toNumber,
+  round2,
+  uniqBy,
+  offerMessageFields,
+  offerStatusFields,
+  offerDetailsFields,
+  clickFields,
+  bookingFields,
+  inventoryUpdateFields,
+  saleFromInventory,
+  mapOfferMessage,
+  mapQueueRow,
+  mapSeller,
+  mapClick,
+  mapBooking,
+  mapClaim,
+  mapSale,
+  mapInventory,
+} from "./airtable.js";
+
+const {
+  LOCAL_STORE_FILE = "data/store.json",
+} = process.env;
+
+/* -------------------- file -------------------- */
+let db = null;      // table name → [{ id, createdTime, fields }]
+let loading = null;
+let saving = Promise.resolve();
+
+async function load() {
+  if (db) return db;
+  loading ??= fs.readFile(LOCAL_STORE_FILE, "utf8")
+    .then(JSON.parse, (e) => { if (e.code === "ENOENT") return {}; throw e; })
+    .then((data) => {
+      for (const t of TABLES) data[t] ??= [];
+      db = data;
+      return db;
+    })
+    .finally(() => { loading = null; });
+  return loading;
+}
+
+// Writes are queued so two saves never interleave; write-then-rename keeps the file whole.
+// A failed write rejects only its own caller, the next one starts fresh.
+function save() {
+  const write = saving.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(LOCAL_STORE_FILE), { recursive: true });
+    const tmp = `${LOCAL_STORE_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(db, null, 2));
+    await fs.rename(tmp, LOCAL_STORE_FILE);
+  });
+  saving = write;
+  return write;
+}
+
+/* -------------------- records -------------------- */
+// Same look as Airtable ids, so the /^rec\w+$/ checks elsewhere hold
+const newId = () => "rec" + crypto.randomBytes(7).toString("hex");
+
+// Same message shape as an Airtable 404, so callers' /→ 404\b/ checks work unchanged
+const notFound = (table, id) => new Error(`[Local] ${table}/${id} → 404 NOT_FOUND`);
+
+const rows = async (table) => (await load())[table];
+
+async function find(table, id) {
+  return (await rows(table)).find(r => r.id === id) || null;
+}
+
+async function get(table, id) {
+  const rec = await find(table, id);
+  if (!rec) throw notFound(table, id);
+  return rec;
+}
+
+// Airtable drops empty values: null/undefined clear the cell
+function assign(target, fields) {
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === null || v === undefined) delete target[k];
+    else target[k] = v;
+  }
+  return target;
+}
+
+async function create(table, fields) {
+  const rec = { id: newId(), createdTime: new Date().toISOString(), fields: assign({}, fields) };
+  (await rows(table)).push(rec);
+  await save();
+  return rec;
+}
+
+async function patch(table, id, fields) {
+  const rec = await get(table, id);
+  assign(rec.fields, fields);
+  await save();
+  return rec;
+}
+
+async function remove(table, id) {
+  const list = await rows(table);
+  const i = list.findIndex(r => r.id === id);
+  if (i < 0) throw notFound(table, id);
+  list.splice(i, 1);
+  await save();
+}
+
+const createdWithin = (r, days) => Date.parse(r.createdTime) > Date.now() - Number(days) * 86_400_000;
+const isPast = (iso) => !!iso && Date.parse(iso) < Date.now();
+const hasMessage = (m) => m.channelId && m.messageId;
+
+/* -------------------- offer messages -------------------- */
+export async function logOfferMessage(offer) {
+  try {
+    await create(AIRTABLE_TABLE_OFFER_MSGS, offerMessageFields(offer));
+  } catch (e) {
+    console.warn("logOfferMessage warn:", e.message);
+  }
+}
+
+const offerMessages = async () => (await rows(AIRTABLE_TABLE_OFFER_MSGS)).map(mapOfferMessage);
+
+export async function listOfferMessagesForOrder(orderRecId) {
+  if (!orderRecId) return [];
+  const pairs = (await offerMessages())
+    .filter(m => m.orderRecId === orderRecId && hasMessage(m))
+    .sort((a, b) => String(a.sentAt).localeCompare(String(b.sentAt)));
+  return uniqBy(pairs, p => `${p.channelId}:${p.messageId}`);
+}
+
+export async function listOfferMessagesForSeller(sellerId, { days = 30 } = {}) {
+  return listRecentOfferMessages({ sellerId, days });
+}
+
+export async function listRecentOfferMessages({ sellerId, days = 7 } = {}) {
+  return (await rows(AIRTABLE_TABLE_OFFER_MSGS))
+    .filter(r => createdWithin(r, days))
+    .map(mapOfferMessage)
+    .filter(m => (!sellerId || m.sellerId === sellerId) && hasMessage(m))
+    .sort((a, b) => String(b.sentAt).localeCompare(String(a.sentAt)));
+}
+
+export async function findOfferMessage(messageId) {
+  if (!messageId) return null;
+  return (await offerMessages()).find(m => m.messageId === messageId) || null;
+}
+
+export async function listExpiredOfferMessages() {
+  return (await offerMessages())
+    .filter(m => isPast(m.expiresAt) && !m.expired && isOpenOfferStatus(m.status) && hasMessage(m));
+}
+
+export async function listOpenOfferMessagesForSeller(sellerId) {
+  return (await offerMessages()).filter(m =>
+    m.sellerId === sellerId && !m.expired && isOpenOfferStatus(m.status) &&
+    !(m.expiresAt && Date.parse(m.expiresAt) <= Date.now()) &&
+    hasMessage(m) && m.counterStatus !== "Accepted"
+  );
+}
+
+export async function listOpenOfferMessagesForInventory(inventoryRecordId) {
+  return (await offerMessages()).filter(m =>
+    m.inventoryRecordId === inventoryRecordId && !m.expired && isOpenOfferStatus(m.status) && hasMessage(m)
+  );
+}
+
+export async function markOfferMessagesExpired(recordIds, status = OFFER_STATUS.EXPIRED) {
+  await setOfferMessageStatus(recordIds, { status, extra: { [FIELD_OFFERS_EXPIRED]: true } });
+}
+
+export async function updateOfferMessageDetails(recordId, update) {
+  await patch(AIRTABLE_TABLE_OFFER_MSGS, recordId, offerDetailsFields(update));
+}
+
+export async function setOfferMessageStatus(recordIds, transition) {
+  const fields = offerStatusFields(transition);
+  for (const id of [].concat(recordIds).filter(Boolean)) await patch(AIRTABLE_TABLE_OFFER_MSGS, id, fields);
+}
+
+/* -------------------- offer queue -------------------- */
+export async function enqueueOfferTier({ orderRecId, tier, releaseAt, payload, kind = "Tier" }) {
+  await create(AIRTABLE_TABLE_OFFER_QUEUE, {
+    [FIELD_QUEUE_ORDER_ID]: orderRecId,
+    [FIELD_QUEUE_KIND]: kind,
+    [FIELD_QUEUE_TIER]: tier,
+    [FIELD_QUEUE_RELEASE_AT]: new Date(releaseAt).toISOString(),
+    [FIELD_QUEUE_PAYLOAD]: JSON.stringify(payload),
+    [FIELD_QUEUE_STATUS]: "Pending",
+  });
+}
+
+export async function listDueOfferTiers() {
+  return (await rows(AIRTABLE_TABLE_OFFER_QUEUE))
+    .map(mapQueueRow)
+    .filter(q => q.status === "Pending" && !(q.releaseAt && Date.parse(q.releaseAt) > Date.now()))
+    .sort((a, b) => String(a.releaseAt).localeCompare(String(b.releaseAt)));
+}
+
+export async function setOfferTierStatus(recordId, status) {
+  await patch(AIRTABLE_TABLE_OFFER_QUEUE, recordId, { [FIELD_QUEUE_STATUS]: status });
+}
+
+export async function getOfferTierStatus(recordId) {
+  const rec = await find(AIRTABLE_TABLE_OFFER_QUEUE, recordId);
+  return rec ? mapQueueRow(rec).status : null;
+}
+
+export async function cancelOfferTiersForOrder(orderRecId) {
+  const pending = (await rows(AIRTABLE_TABLE_OFFER_QUEUE))
+    .map(mapQueueRow)
+    .filter(q => q.orderRecId === orderRecId && q.status === "Pending");
+  for (const q of pending) await patch(AIRTABLE_TABLE_OFFER_QUEUE, q.recordId, { [FIELD_QUEUE_STATUS]: "Cancelled" });
+  return pending.length;
+}
+
+/* -------------------- sellers + clicks -------------------- */
+const sellers = async () => (await rows(AIRTABLE_TABLE_SELLERS)).map(mapSeller);
+
+export async function listSellers() {
+  return sellers();
+}
+
+export async function setSellerLastScorecard(recordId, at = new Date().toISOString()) {
+  await patch(AIRTABLE_TABLE_SELLERS, recordId, { [FIELD_SELLER_LAST_SCORECARD]: at });
+}
+
+export async function getSellerBySellerId(sellerId) {
+  if (!sellerId) return null;
+  return (await sellers()).find(s => s.sellerId === sellerId) || null;
+}
+
+export async function findSellerByName(name) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  return (await sellers()).find(s =>
+    s.sellerId === name || String(s.sellerName || "").trim().toLowerCase() === wanted
+  ) || null;
+}
+
+export async function findSellersByDiscord({ userId, roleIds = [] }) {
+  if (![userId, ...roleIds].some(Boolean)) return [];
+  const roles = roleIds.map(String);
+  return (await sellers()).filter(s =>
+    s.discordUserIds.includes(String(userId)) || s.discordRoleIds.some(r => roles.includes(r))
+  );
+}
+
+export async function listOfferClicks({ orderRecId, sellerId, days } = {}) {
+  if (!orderRecId && !sellerId && !days) throw new Error("listOfferClicks needs orderRecId, sellerId or days");
+  return (await rows(AIRTABLE_TABLE_CLICKS))
+    .filter(r => !days || createdWithin(r, days))
+    .map(mapClick)
+    .filter(c => (!orderRecId || c.orderRecId === orderRecId) && (!sellerId || c.sellerId === sellerId))
+    .sort((a, b) => String(a.clickedAt).localeCompare(String(b.clickedAt)));
+}
+
+export async function logOfferClick(click) {
+  await create(AIRTABLE_TABLE_CLICKS, clickFields(click));
+}
+
+/* -------------------- counter offers -------------------- */
+export async function logCounterOffer({ messageId, counterPrice }) {
+  const row = await findOfferMessage(messageId);
+  if (!row) return null;
+  await patch(AIRTABLE_TABLE_OFFER_MSGS, row.recordId, {
+    [FIELD_OFFERS_COUNTER_PRICE]: round2(counterPrice),
+    [FIELD_OFFERS_COUNTER_STATUS]: "Pending",
+  });
+  return { ...row, counterPrice: round2(counterPrice), counterStatus: "Pending" };
+}
+
+export async function setCounterOfferStatus(recordId, status) {
+  await patch(AIRTABLE_TABLE_OFFER_MSGS, recordId, { [FIELD_OFFERS_COUNTER_STATUS]: status });
+}
+
+/* -------------------- orders + sales -------------------- */
+const salesForOrder = async (orderRecId) =>
+  (await rows(AIRTABLE_TABLE_SALES)).map(mapSale).filter(s => s.orderRecIds.includes(orderRecId));
+
+export async function hasSaleForOrder(orderRecId) {
+  return (await salesForOrder(orderRecId)).length > 0;
+}
+
+export async function countSalesForOrder(orderRecId) {
+  return (await salesForOrder(orderRecId)).length;
+}
+
+export async function isOrderFilled(orderRecId, quantity = 1) {
+  return (await countSalesForOrder(orderRecId)) >= Math.max(1, quantity);
+}
+
+export async function setOrderMatchedStatus(orderRecId, matchedLabel = "Matched") {
+  await patch(AIRTABLE_TABLE_ORDERS, orderRecId, { [FIELD_ORDER_STATUS]: matchedLabel });
+}
+
+export async function getOrderStatus(orderRecId) {
+  return toText((await get(AIRTABLE_TABLE_ORDERS, orderRecId)).fields[FIELD_ORDER_STATUS]);
+}
+
+export async function getOrderState(orderRecId) {
+  const rec = await find(AIRTABLE_TABLE_ORDERS, orderRecId);
+  return rec ? { exists: true, status: toText(rec.fields[FIELD_ORDER_STATUS]) } : { exists: false, status: null };
+}
+
+/* -------------------- order claims (see lib/claims.js) -------------------- */
+export async function createClaimRecord({ key, token }) {
+  return mapClaim(await create(AIRTABLE_TABLE_CLAIMS, { [FIELD_CLAIM_KEY]: key, [FIELD_CLAIM_TOKEN]: token }));
+}
+
+export async function listClaimRecords(key) {
+  return (await rows(AIRTABLE_TABLE_CLAIMS)).map(mapClaim).filter(c => c.key === key);
+}
+
+export async function markClaimRecordSold(recordId) {
+  await patch(AIRTABLE_TABLE_CLAIMS, recordId, { [FIELD_CLAIM_SOLD]: true });
+}
+
+export async function deleteClaimRecord(recordId) {
+  if (await find(AIRTABLE_TABLE_CLAIMS, recordId)) await remove(AIRTABLE_TABLE_CLAIMS, recordId);
+}
+
+/* -------------------- booking log -------------------- */
+const bookings = async () => (await rows(AIRTABLE_TABLE_BOOKINGS)).map(mapBooking);
+
+export async function createBookingLog({ orderRecId, inventoryRecordId, sellerId, log }) {
+  const rec = await create(AIRTABLE_TABLE_BOOKINGS, {
+    [FIELD_BOOK_ORDER_ID]: orderRecId,
+    [FIELD_BOOK_INV_ID]: inventoryRecordId,
+    [FIELD_BOOK_SELLER_ID]: sellerId ?? null,
+    ...bookingFields({ status: "Running", log }),
+  });
+  return rec.id;
+}
+
+export async function updateBookingLog(recordId, changes) {
+  await patch(AIRTABLE_TABLE_BOOKINGS, recordId, bookingFields(changes));
+}
+
+export async function listBookingsNeedingRepair(staleMinutes = 10) {
+  const staleBefore = Date.now() - Number(staleMinutes) * 60_000;
+  return (await bookings()).filter(b =>
+    b.status === "Failed" || b.status === "Needs Repair" ||
+    (b.status === "Running" && !!b.updatedAt && Date.parse(b.updatedAt) < staleBefore)
+  );
+}
+
+export async function listBookings({ orderRecId, sellerId } = {}) {
+  if (!orderRecId && !sellerId) throw new Error("listBookings needs orderRecId or sellerId");
+  return (await bookings()).filter(b =>
+    (!orderRecId || b.orderRecId === orderRecId) && (!sellerId || b.sellerId === sellerId)
+  );
+}
+
+export async function listRecentSales(days = 7) {
+  return (await rows(AIRTABLE_TABLE_SALES))
+    .filter(r => createdWithin(r, days))
+    .map(r => ({ id: r.id, orderRecIds: mapSale(r).orderRecIds }));
+}
+
+/* -------------------- sales + inventory -------------------- */
+export async function prepareSale({ inventoryId, ...sale }) {
+  return saleFromInventory(await get(AIRTABLE_TABLE_INVENTORY, inventoryId), sale);
+}
+
+export async function createSaleRecord(saleFields) {
+  const { id } = await create(AIRTABLE_TABLE_SALES, saleFields);
+  console.log(`Sale ${id} created`);
+  return id;
+}
+
+export async function deleteSaleRecord(saleId) {
+  if (await find(AIRTABLE_TABLE_SALES, saleId)) await remove(AIRTABLE_TABLE_SALES, saleId);
+}
+
+export async function findSaleByBookingKey(bookingKey) {
+  if (!bookingKey) return null;
+  return (await rows(AIRTABLE_TABLE_SALES)).find(r => mapSale(r).bookingKey === bookingKey)?.id ?? null;
+}
+
+export async function saleRecordExists(saleId) {
+  return !!(await find(AIRTABLE_TABLE_SALES, saleId));
+}
+
+export async function getSaleRecord(saleId) {
+  const rec = await find(AIRTABLE_TABLE_SALES, saleId);
+  return rec ? mapSale(rec) : null;
+}
+
+export async function getInventoryState(inventoryId) {
+  const rec = await find(AIRTABLE_TABLE_INVENTORY, inventoryId);
+  if (!rec) return null;
+  const { quantity, sellerLinkId, productName, size } = mapInventory(rec);
+  return { quantity, sellerLinkId, productName, size };
+}
+
+export async function listInventoryForSeller(seller) {
+  if (!seller?.recordId) return [];
+  return (await rows(AIRTABLE_TABLE_INVENTORY))
+    .map(mapInventory)
+    .filter(x => x.sellerLinkId === seller.recordId)
+    .sort((a, b) => String(a.productName ?? "").localeCompare(String(b.productName ?? "")));
+}
+
+export async function updateInventoryRecord(inventoryId, changes = {}) {
+  const fields = inventoryUpdateFields(changes);
+  const rec = await patch(AIRTABLE_TABLE_INVENTORY, inventoryId, fields);
+  console.log(`Inventory ${inventoryId} updated`);
+  return mapInventory(rec);
+}
+
+export async function adjustInventoryQuantity(inventoryId, delta) {
+  const rec = await get(AIRTABLE_TABLE_INVENTORY, inventoryId);
+  const before = toNumber(rec.fields[FIELD_INV_QTY]) ?? 0;
+  const after = Math.max(0, before + delta);
+  await patch(AIRTABLE_TABLE_INVENTORY, inventoryId, { [FIELD_INV_QTY]: after });
+  console.log(`Inventory ${inventoryId} quantity adjusted`);
+  return { before, after };
+}
+
+/* -------------------- import / export -------------------- */
+
+/** The whole store as { "<table name>": [{ id, createdTime, fields }] } (a deep copy). */
+export async function exportSnapshot() {
+  return structuredClone(await load());
+}
+
+/**
+ * Replace the tables present in `snapshot` (same shape as exportSnapshot, or Airtable's own
+ * list output per table). Tables not in the snapshot are kept. Returns row counts per table.
+ */
+export async function importSnapshot(snapshot) {
+  await load();
+  const counts = {};
+  for (const [table, records] of Object.entries(snapshot || {})) {
+    if (!Array.isArray(records)) throw new Error(`Snapshot table "${table}" is not a list of records`);
+    db[table] = records.map(r => {
+      if (!r?.id || typeof r.fields !== "object") throw new Error(`Snapshot table "${table}" has a row without id/fields`);
+      return { id: r.id, createdTime: r.createdTime || new Date().toISOString(), fields: { ...r.fields } };
+    });
+    counts[table] = db[table].length;
+  }
+  await save();
+  return counts;
+}
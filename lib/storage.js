@@ -0,0 +1,85 @@
+// lib/storage.js
+// The storage interface: offer messages, the offer queue, sellers, click audit, orders,
+// order claims, booking log, sales and inventory. Everything outside the adapters imports
+// from here.
+//
+// Backends (STORAGE_BACKEND):
+//   airtable — lib/airtable.js, the live base (default).
+//   local    — lib/storage-local.js, one JSON file (LOCAL_STORE_FILE). Same record shape and
+//              semantics; fill it from Airtable with `npm run storage -- import-airtable`.
+import * as airtable from "./airtable.js";
+import * as local from "./storage-local.js";
+
+export { OFFER_STATUS, isOpenOfferStatus } from "./airtable.js";
+
+const { STORAGE_BACKEND = "airtable" } = process.env;
+
+const backends = { airtable, local };
+const backend = backends[STORAGE_BACKEND];
+if (!backend) throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use ${Object.keys(backends).join(" | ")})`);
+
+export const storageBackend = STORAGE_BACKEND;
+
+/* -------------------- offer messages -------------------- */
+export const logOfferMessage = (...a) => backend.logOfferMessage(...a);
+export const listOfferMessagesForOrder = (...a) => backend.listOfferMessagesForOrder(...a);
+export const listOfferMessagesForSeller = (...a) => backend.listOfferMessagesForSeller(...a);
+export const listRecentOfferMessages = (...a) => backend.listRecentOfferMessages(...a);
+export const findOfferMessage = (...a) => backend.findOfferMessage(...a);
+export const listExpiredOfferMessages = (...a) => backend.listExpiredOfferMessages(...a);
+export const listOpenOfferMessagesForSeller = (...a) => backend.listOpenOfferMessagesForSeller(...a);
+export const listOpenOfferMessagesForInventory = (...a) => backend.listOpenOfferMessagesForInventory(...a);
+export const markOfferMessagesExpired = (...a) => backend.markOfferMessagesExpired(...a);
+export const setOfferMessageStatus = (...a) => backend.setOfferMessageStatus(...a);
+export const updateOfferMessageDetails = (...a) => backend.updateOfferMessageDetails(...a);
+export const logCounterOffer = (...a) => backend.logCounterOffer(...a);
+export const setCounterOfferStatus = (...a) => backend.setCounterOfferStatus(...a);
+
+/* -------------------- offer queue -------------------- */
+export const enqueueOfferTier = (...a) => backend.enqueueOfferTier(...a);
+export const listDueOfferTiers = (...a) => backend.listDueOfferTiers(...a);
+export const setOfferTierStatus = (...a) => backend.setOfferTierStatus(...a);
+export const getOfferTierStatus = (...a) => backend.getOfferTierStatus(...a);
+export const cancelOfferTiersForOrder = (...a) => backend.cancelOfferTiersForOrder(...a);
+
+/* -------------------- sellers + click audit -------------------- */
+export const listSellers = (...a) => backend.listSellers(...a);
+export const setSellerLastScorecard = (...a) => backend.setSellerLastScorecard(...a);
+export const getSellerBySellerId = (...a) => backend.getSellerBySellerId(...a);
+export const findSellerByName = (...a) => backend.findSellerByName(...a);
+export const findSellersByDiscord = (...a) => backend.findSellersByDiscord(...a);
+export const listOfferClicks = (...a) => backend.listOfferClicks(...a);
+export const logOfferClick = (...a) => backend.logOfferClick(...a);
+
+/* -------------------- orders -------------------- */
+export const hasSaleForOrder = (...a) => backend.hasSaleForOrder(...a);
+export const countSalesForOrder = (...a) => backend.countSalesForOrder(...a);
+export const isOrderFilled = (...a) => backend.isOrderFilled(...a);
+export const setOrderMatchedStatus = (...a) => backend.setOrderMatchedStatus(...a);
+export const getOrderStatus = (...a) => backend.getOrderStatus(...a);
+export const getOrderState = (...a) => backend.getOrderState(...a);
+
+/* -------------------- order claims -------------------- */
+export const createClaimRecord = (...a) => backend.createClaimRecord(...a);
+export const listClaimRecords = (...a) => backend.listClaimRecords(...a);
+export const markClaimRecordSold = (...a) => backend.markClaimRecordSold(...a);
+export const deleteClaimRecord = (...a) => backend.deleteClaimRecord(...a);
+
+/* -------------------- booking log -------------------- */
+export const createBookingLog = (...a) => backend.createBookingLog(...a);
+export const updateBookingLog = (...a) => backend.updateBookingLog(...a);
+export const listBookingsNeedingRepair = (...a) => backend.listBookingsNeedingRepair(...a);
+export const listBookings = (...a) => backend.listBookings(...a);
+
+/* -------------------- sales + inventory -------------------- */
+export const listRecentSales = (...a) => backend.listRecentSales(...a);
+export const prepareSale = (...a) => backend.prepareSale(...a);
+export const createSaleRecord = (...a) => backend.createSaleRecord(...a);
+export const deleteSaleRecord = (...a) => backend.deleteSaleRecord(...a);
+export const findSaleByBookingKey = (...a) => backend.findSaleByBookingKey(...a);
+export const saleRecordExists = (...a) => backend.saleRecordExists(...a);
+export const getSaleRecord = (...a) => backend.getSaleRecord(...a);
+export const getInventoryState = (...a) => backend.getInventoryState(...a);
+export const listInventoryForSeller = (...a) => backend.listInventoryForSeller(...a);
+export const updateInventoryRecord = (...a) => backend.updateInventoryRecord(...a);
+export const adjustInventoryQuantity = (...a) => backend.adjustInventoryQuantity(...a);
@@ -0,0 +1,119 @@
+// lib/timeline.js
+// Read-only views for staff debugging: what happened to every offer of an order, or to a
+// seller's recent offers. Joins Offer Messages + Offer Clicks + Booking Log (+ Sales).
+import {
+  listOfferMessagesForOrder,
+  listOfferMessagesForSeller,
+  listOfferClicks,
+  listBookings,
+  getOrderState,
+  getSaleRecord,
+  countSalesForOrder,
+  OFFER_STATUS,
+} from "./storage.js";
+import { isClosedOrderStatus } from "./booking.js";
+import { isExpired } from "./expiry.js";
+
+// Bookings that produced (or are producing) a sale; Compensated/Failed ones were undone
+const BOOKED = ["Completed", "Needs Repair", "Running"];
+
+const STATUS_STATES = {
+  [OFFER_STATUS.DENIED]: "denied",
+  [OFFER_STATUS.CONFIRMED]: "confirmed",
+  [OFFER_STATUS.EXPIRED]: "expired",
+};
+
+/**
+ * open | denied | confirmed | expired | closed. The row's Status wins when it records a
+ * transition; rows logged before Status existed are judged by their clicks and booking.
+ * "closed" = buttons closed for another reason (order matched/closed elsewhere, stock 0).
+ */
+export function offerState(m, { clicks = [], booking = null, orderClosed = false } = {}) {
+  if (m.status && m.status !== OFFER_STATUS.SENT) return STATUS_STATES[m.status] || "closed";
+  if (booking && BOOKED.includes(booking.status)) return "confirmed";
+  if (clicks.some(c => c.action === "deny" && c.authorized)) return "denied";
+  if (isExpired(m.expiresAt)) return "expired";
+  if (m.expired || orderClosed) return "closed";
+  return "open";
+}
+
+function offerView(m, { clicks, bookings, orderClosed, sale }) {
+  const mine = clicks.filter(c => c.messageId === m.messageId);
+  const booking = bookings.find(b =>
+    b.orderRecId === m.orderRecId && b.inventoryRecordId === m.inventoryRecordId && BOOKED.includes(b.status)
+  ) || bookings.find(b => b.orderRecId === m.orderRecId && b.inventoryRecordId === m.inventoryRecordId) || null;
+  return {
+    recordId: m.recordId,
+    orderRecId: m.orderRecId,
+    sellerId: m.sellerId,
+    inventoryRecordId: m.inventoryRecordId,
+    channelId: m.channelId,
+    messageId: m.messageId,
+    sentAt: m.sentAt,
+    expiresAt: m.expiresAt,
+    offerPrice: m.offerPrice,
+    currency: m.currency,
+    counterPrice: m.counterPrice,
+    counterStatus: m.counterStatus,
+    language: m.language,
+    state: offerState(m, { clicks: mine, booking, orderClosed }),
+    status: m.status,
+    statusAt: m.statusAt,
+    respondedBy: m.respondedBy,
+    denyReason: m.denyReason,
+    clicks: mine.map(({ action, userId, userTag, authorized, clickedAt }) => ({ action, userId, userTag, authorized, clickedAt })),
+    booking: booking && {
+      recordId: booking.recordId,
+      status: booking.status,
+      saleId: booking.saleId,
+      error: booking.error,
+      updatedAt: booking.updatedAt,
+      ...(sale !== undefined ? { sale: sale(booking.saleId) } : {}),
+    },
+  };
+}
+
+/** Everything about one order's offers. Null if the order and its offers are unknown. */
+export async function getOrderTimeline(orderRecId) {
+  const [order, offers, clicks, bookings] = await Promise.all([
+    getOrderState(orderRecId),
+    listOfferMessagesForOrder(orderRecId),
+    listOfferClicks({ orderRecId }),
+    listBookings({ orderRecId }),
+  ]);
+  if (!order.exists && !offers.length) return null;
+
+  const saleIds = [...new Set(bookings.map(b => b.saleId).filter(Boolean))];
+  const sales = new Map(await Promise.all(saleIds.map(async id => [id, await getSaleRecord(id)])));
+  const orderClosed = !order.exists || isClosedOrderStatus(order.status);
+
+  return {
+    orderRecId,
+    exists: order.exists,
+    status: order.status,
+    quantity: Math.max(1, ...offers.map(m => m.orderQuantity || 1)),
+    filled: await countSalesForOrder(orderRecId),
+    offers: offers.map(m => offerView(m, { clicks, bookings, orderClosed, sale: (id) => (id ? sales.get(id) ?? null : null) })),
+    // Clicks on messages that were never logged (e.g. logging failed) would vanish otherwise
+    unmatchedClicks: clicks.filter(c => !offers.some(m => m.messageId === c.messageId)),
+  };
+}
+
+/** A seller's offers from the last `days` days, newest first. */
+export async function getSellerOffers(sellerId, { days = 30 } = {}) {
+  const [offers, clicks, bookings] = await Promise.all([
+    listOfferMessagesForSeller(sellerId, { days }),
+    listOfferClicks({ sellerId, days }),
+    listBookings({ sellerId }),
+  ]);
+  const orderIds = [...new Set(offers.map(m => m.orderRecId).filter(Boolean))];
+  const orders = new Map(await Promise.all(orderIds.map(async id => [id, await getOrderState(id)])));
+
+  const views = offers.map(m => {
+    const o = orders.get(m.orderRecId);
+    return offerView(m, { clicks, bookings, orderClosed: !o?.exists || isClosedOrderStatus(o.status) });
+  });
+  const counts = {};
+  for (const v of views) counts[v.state] = (counts[v.state] || 0) + 1;
+  return { sellerId, days, total: views.length, counts, offers: views };
+}
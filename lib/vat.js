@@ -0,0 +1,112 @@
+// lib/vat.js
+// One VAT rules engine for both the offer embeds (price label) and the booked Sales row
+// (VAT option + price multiplier). Rules: config/vat-rules.json, or VAT_RULES (JSON) /
+// VAT_RULES_FILE to override. Rules are matched on seller country × buyer country × VAT type.
+import fs from "node:fs";
+
+const {
+  VAT_RULES,
+  VAT_RULES_FILE = new URL("../config/vat-rules.json", import.meta.url),
+  DEFAULT_BUYER_COUNTRY = "NL",
+} = process.env;
+
+export const VAT_TYPES = ["Margin", "VAT0", "VAT21"];
+
+const EU = new Set([
+  "AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IE",
+  "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK", "SI", "ES", "SE",
+]);
+
+const NAMES = {
+  NL: ["netherlands", "the netherlands", "nederland", "holland", "nld"],
+  DE: ["germany", "deutschland", "duitsland", "deu"],
+  BE: ["belgium", "belgië", "belgie", "belgique", "bel"],
+  FR: ["france", "frankrijk", "fra"],
+  ES: ["spain", "españa", "espana", "spanje", "esp"],
+  IT: ["italy", "italia", "italië", "ita"],
+  AT: ["austria", "österreich", "oostenrijk", "aut"],
+  LU: ["luxembourg", "luxemburg", "lux"],
+  PL: ["poland", "polska", "polen", "pol"],
+  DK: ["denmark", "danmark", "denemarken", "dnk"],
+  SE: ["sweden", "sverige", "zweden", "swe"],
+  PT: ["portugal", "prt"],
+  IE: ["ireland", "ierland", "irl"],
+  GB: ["united kingdom", "uk", "great britain", "england", "scotland", "wales", "gbr"],
+  CH: ["switzerland", "schweiz", "suisse", "zwitserland", "che"],
+  US: ["united states", "usa", "united states of america"],
+};
+const NAME_TO_CODE = new Map(Object.entries(NAMES).flatMap(([code, names]) => names.map(n => [n, code])));
+
+/** "Netherlands" / "nl" / "🇳🇱" / "Nederland" → "NL" (null if unknown/empty). */
+export function countryCode(input) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+  // Flag emoji: two regional indicator symbols
+  const flag = [...raw].filter(ch => ch.codePointAt(0) >= 0x1f1e6 && ch.codePointAt(0) <= 0x1f1ff);
+  if (flag.length === 2) return flag.map(ch => String.fromCharCode(ch.codePointAt(0) - 0x1f1e6 + 65)).join("");
+
+  const t = raw.toLowerCase();
+  if (NAME_TO_CODE.has(t)) return NAME_TO_CODE.get(t);
+  if (/^[a-z]{2}$/.test(t)) return t === "uk" ? "GB" : t.toUpperCase();
+  for (const [name, code] of NAME_TO_CODE) if (name.length > 3 && t.includes(name)) return code;
+  if (t.includes("neder") || t.includes("nether")) return "NL";
+  return null;
+}
+
+/** Canonical Sales/Inventory VAT option; unknown → Margin (safe fallback). */
+export function normalizeVatType(x) {
+  const s = String(x || "").trim().toUpperCase().replace(/\s+/g, "");
+  if (s.includes("MARGIN")) return "Margin";
+  if (s === "VAT21" || s === "21" || s.includes("VAT21")) return "VAT21";
+  if (s === "VAT0" || s === "0" || s === "ZERO" || s.includes("VAT0")) return "VAT0";
+  return "Margin";
+}
+
+function loadRules() {
+  const parse = (txt, from) => {
+    const data = JSON.parse(txt);
+    const rules = Array.isArray(data) ? data : data.rules;
+    if (!Array.isArray(rules) || !rules.length) throw new Error(`${from}: no rules`);
+    for (const r of rules) {
+      if (r.saleVat && !VAT_TYPES.includes(r.saleVat)) throw new Error(`${from}: invalid saleVat "${r.saleVat}"`);
+    }
+    return rules;
+  };
+  if (VAT_RULES) return parse(VAT_RULES, "VAT_RULES");
+  return parse(fs.readFileSync(VAT_RULES_FILE, "utf8"), String(VAT_RULES_FILE));
+}
+
+const rules = loadRules();
+
+const matchesCountry = (want, code) => {
+  if (want == null || want === "*") return true;
+  return [].concat(want).some(w => {
+    const W = String(w).toUpperCase();
+    if (W === "EU") return !!code && EU.has(code);
+    if (W === "NON_EU") return !code || !EU.has(code);
+    return W === code;
+  });
+};
+const matchesVat = (want, vat) => want == null || want === "*" || [].concat(want).includes(vat);
+
+/**
+ * Resolve VAT for one seller × buyer × inventory VAT type.
+ * Returns { vatType, label, saleVatType, multiplier, sellerCountry, buyerCountry }.
+ */
+export function resolveVat({ vatType, sellerCountry, buyerCountry }) {
+  const vat = normalizeVatType(vatType);
+  const seller = countryCode(sellerCountry);
+  const buyer = countryCode(buyerCountry) || countryCode(DEFAULT_BUYER_COUNTRY);
+  const rule = rules.find(r => matchesVat(r.vat, vat) && matchesCountry(r.seller, seller) && matchesCountry(r.buyer, buyer));
+  return {
+    vatType: vat,
+    label: rule?.label ?? "",
+    saleVatType: rule?.saleVat ?? vat,
+    multiplier: Number(rule?.multiplier) || 1,
+    sellerCountry: seller,
+    buyerCountry: buyer,
+  };
+}
+
+/** Label shown next to a price in offer embeds, e.g. "(VAT 21%)". */
+export const vatLabel = (args) => resolveVat(args).label;
@@ -0,0 +1,148 @@
+// lib/waterfall.js
+// Tiered fan-out: the first tier is messaged right away, every later tier waits
+// in the Airtable "Offer Queue" until its release time. Because the queue lives
+// in Airtable, a restart simply resumes releasing whatever is due.
+// The same queue carries retries of failed sends (Kind = Retry), released by the same runner.
+// Every instance runs the runner; a row is claimed (lib/claims.js) before it is sent.
+import {
+  isOrderFilled,
+  listOfferMessagesForOrder,
+  OFFER_STATUS,
+  enqueueOfferTier,
+  listDueOfferTiers,
+  setOfferTierStatus,
+  getOfferTierStatus,
+  cancelOfferTiersForOrder,
+} from "./storage.js";
+import { claimJob, finishJob, releaseJob } from "./claims.js";
+import { fanOutOffers, closeOfferMessages } from "./offers.js";
+import { isExpired } from "./expiry.js";
+import { scheduleEvery } from "./scheduler.js";
+
+const { WATERFALL_SWEEP_SECONDS = "30" } = process.env;
+
+const priceOf = (s) => {
+  const n = Number(s.normalizedSuggested ?? s.sellingPriceSuggested);
+  return Number.isFinite(n) ? n : Infinity; // unknown price goes last
+};
+
+/**
+ * Group sellers into tiers.
+ * - by "tier":  explicit `seller.tier` (ascending; missing tier goes last)
+ * - by "price": `normalizedSuggested` ascending, `size` sellers per tier
+ */
+export function planTiers(sellers, { by = "price", size = 1 } = {}) {
+  if (by === "tier") {
+    const groups = new Map();
+    for (const s of sellers) {
+      const t = Number.isFinite(Number(s.tier)) ? Number(s.tier) : Infinity;
+      if (!groups.has(t)) groups.set(t, []);
+      groups.get(t).push(s);
+    }
+    return [...groups.keys()].sort((a, b) => a - b).map(k => groups.get(k));
+  }
+  if (by !== "price") throw new Error(`Unknown waterfall.by "${by}" (use "price" or "tier")`);
+
+  const n = Math.max(1, Math.floor(Number(size) || 1));
+  const sorted = [...sellers].sort((a, b) => priceOf(a) - priceOf(b));
+  const tiers = [];
+  for (let i = 0; i < sorted.length; i += n) tiers.push(sorted.slice(i, i + n));
+  return tiers;
+}
+
+/** Throws a readable error for a bad `waterfall` block (so /offers can answer 400). */
+export function validateWaterfallConfig(cfg) {
+  const minutes = Number(cfg?.minutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error("waterfall.minutes must be a positive number");
+  }
+  if (cfg.by && !["price", "tier"].includes(cfg.by)) {
+    throw new Error(`Unknown waterfall.by "${cfg.by}" (use "price" or "tier")`);
+  }
+  return minutes;
+}
+
+/**
+ * Message tier 0 now and queue the rest.
+ * `cfg` comes straight from the /offers payload: { by, size, minutes }.
+ */
+export async function startWaterfall(order, sellers, cfg, { expiresAt } = {}) {
+  const minutes = validateWaterfallConfig(cfg);
+  const tiers = planTiers(sellers, cfg);
+  const now = Date.now();
+
+  for (let i = 1; i < tiers.length; i++) {
+    await enqueueOfferTier({
+      orderRecId: order.orderRecId,
+      tier: i,
+      releaseAt: now + i * minutes * 60_000,
+      payload: { order, sellers: tiers[i], expiresAt },
+    });
+  }
+
+  const results = await fanOutOffers(order, tiers[0], { expiresAt, tier: 0 });
+  return { results, queued: tiers.length - 1 };
+}
+
+/** Stop an order's waterfall (matched, or closed via /disable-offers). */
+export async function cancelWaterfall(orderRecId) {
+  const n = await cancelOfferTiersForOrder(orderRecId);
+  if (n) console.log(`🌊 Cancelled ${n} queued tier(s) for ${orderRecId}`);
+  return n;
+}
+
+/** Send every queued tier/retry whose release time has passed, unless its order is already done. */
+export async function releaseDueTiers() {
+  const due = await listDueOfferTiers();
+  for (const row of due) {
+    const key = `queue:${row.recordId}`;
+    const claim = await claimJob(key, "waterfall");
+    if (!claim.won) continue; // another instance is releasing it
+    try {
+      await releaseRow(row);
+    } catch (e) {
+      // Row still Pending (the status is written before sending): let the next run retry it
+      if ((await getOfferTierStatus(row.recordId).catch(() => null)) === "Pending") {
+        await releaseJob(key, claim).catch(() => {});
+      }
+      throw e;
+    }
+    await finishJob(key, claim).catch(e => console.warn("waterfall claim warn:", e.message));
+  }
+}
+
+async function releaseRow(row) {
+  // Listed before the claim: another instance may have sent or cancelled it since
+  if ((await getOfferTierStatus(row.recordId)) !== "Pending") return;
+
+  const { order, sellers = [], expiresAt, attempt = 0 } = row.payload || {};
+  if (!order?.orderRecId) {
+    console.warn(`waterfall: queue row ${row.recordId} has no payload, cancelling`);
+    await setOfferTierStatus(row.recordId, "Cancelled");
+    return;
+  }
+
+  if (isExpired(expiresAt) || await isOrderFilled(order.orderRecId, order.quantity)) {
+    await cancelWaterfall(order.orderRecId);
+    return;
+  }
+
+  // Mark first so a crash mid-send never messages the same tier twice
+  await setOfferTierStatus(row.recordId, "Sent");
+  const results = await fanOutOffers(order, sellers, { expiresAt, tier: row.tier ?? 0, attempt });
+  const sent = results.filter(x => x.status === "sent");
+  const what = row.kind === "Retry" ? `retry #${attempt}` : `tier ${row.tier}`;
+  console.log(`🌊 Released ${what} for ${order.orderRecId} → ${sent.length}/${results.length} sent`);
+
+  // A confirm may have landed while we were sending: close what we just posted
+  if (sent.length && await isOrderFilled(order.orderRecId, order.quantity)) {
+    const sentIds = new Set(sent.map(x => x.messageId));
+    const msgs = (await listOfferMessagesForOrder(order.orderRecId)).filter(m => sentIds.has(m.messageId));
+    await closeOfferMessages(msgs, "note.matchedByOther", { status: OFFER_STATUS.MATCHED_ELSEWHERE });
+    await cancelWaterfall(order.orderRecId);
+  }
+}
+
+export function startWaterfallRunner() {
+  scheduleEvery("waterfall", Number(WATERFALL_SWEEP_SECONDS) * 1000, releaseDueTiers);
+}
@@ -0,0 +1,69 @@
+// lib/webhook-auth.js
+// HMAC-SHA256 signing for inbound webhooks (Make → bot).
+//
+//   X-Timestamp: <unix seconds>
+//   X-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${METHOD}.${path}.${rawBody}`)>
+//
+// `path` is the request path incl. query string (e.g. `/offers`), rawBody the exact bytes sent.
+import crypto from "node:crypto";
+
+const {
+  WEBHOOK_SECRET,
+  WEBHOOK_SECRET_PREVIOUS,          // keep the old secret here while rotating
+  WEBHOOK_TOLERANCE_SECONDS = "300",
+} = process.env;
+
+const secrets = () => [WEBHOOK_SECRET, WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+
+export function signWebhook(secret, { timestamp, method, path, rawBody = "" }) {
+  const base = `${timestamp}.${String(method).toUpperCase()}.${path}.${rawBody}`;
+  return "sha256=" + crypto.createHmac("sha256", secret).update(base).digest("hex");
+}
+
+const safeEqual = (a, b) => {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+// Signatures seen inside the tolerance window (one instance only; the timestamp check covers the rest)
+const seen = new Map(); // signature → expiry ms
+function rememberSignature(sig, ttlMs) {
+  const now = Date.now();
+  for (const [k, exp] of seen) if (exp <= now) seen.delete(k);
+  if (seen.has(sig)) return false;
+  seen.set(sig, now + ttlMs);
+  return true;
+}
+
+/** Keep the raw request bytes for signature checks; pass as `verify` to express body parsers. */
+export function captureRawBody(req, _res, buf) {
+  req.rawBody = buf.toString("utf8");
+}
+
+/** Express middleware: 401 with a specific reason unless the request is correctly signed. */
+export function requireSignedWebhook(req, res, next) {
+  const fail = (reason) => res.status(401).json({ error: "Unauthorized", reason });
+
+  if (!secrets().length) {
+    console.error("WEBHOOK_SECRET is not set; refusing webhook");
+    return res.status(503).json({ error: "Webhook auth not configured" });
+  }
+
+  const signature = req.get("x-signature");
+  const timestamp = req.get("x-timestamp");
+  if (!signature) return fail("missing X-Signature header");
+  if (!timestamp) return fail("missing X-Timestamp header");
+
+  const ts = Number(timestamp);
+  const tolerance = Number(WEBHOOK_TOLERANCE_SECONDS);
+  if (!Number.isInteger(ts)) return fail("X-Timestamp must be unix seconds");
+  if (Math.abs(Date.now() / 1000 - ts) > tolerance) return fail("timestamp outside replay window");
+
+  const parts = { timestamp, method: req.method, path: req.originalUrl, rawBody: req.rawBody || "" };
+  const ok = secrets().some(secret => safeEqual(signWebhook(secret, parts), signature));
+  if (!ok) return fail("signature mismatch");
+
+  if (!rememberSignature(signature, tolerance * 1000)) return fail("replayed request");
+  next();
+}
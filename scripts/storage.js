@@ -0,0 +1,42 @@
+// scripts/storage.js
+// Move data between Airtable and the local store (lib/storage-local.js).
+//   node scripts/storage.js import-airtable        copy every table from the Airtable base
+//   node scripts/storage.js import <file.json>     load a snapshot file
+//   node scripts/storage.js export <file.json>     write the local store as a snapshot file
+// A snapshot is { "<table name>": [{ id, createdTime, fields }] }, i.e. Airtable's own records.
+import fs from "node:fs/promises";
+import { TABLES, dumpTable } from "../lib/airtable.js";
+import { importSnapshot, exportSnapshot } from "../lib/storage-local.js";
+
+async function fromAirtable() {
+  const snapshot = {};
+  for (const table of TABLES) {
+    try {
+      snapshot[table] = await dumpTable(table);
+    } catch (e) {
+      // Optional tables (e.g. Offer Queue when waterfalls are unused) may not exist
+      if (!/→ 404\b/.test(e.message)) throw e;
+      console.warn(`skipping "${table}": not in the base`);
+    }
+  }
+  return snapshot;
+}
+
+const [command, file] = process.argv.slice(2);
+try {
+  if (command === "import-airtable") {
+    console.log(await importSnapshot(await fromAirtable()));
+  } else if (command === "import" && file) {
+    console.log(await importSnapshot(JSON.parse(await fs.readFile(file, "utf8"))));
+  } else if (command === "export" && file) {
+    const snapshot = await exportSnapshot();
+    await fs.writeFile(file, JSON.stringify(snapshot, null, 2));
+    console.log(Object.fromEntries(Object.entries(snapshot).map(([t, rows]) => [t, rows.length])));
+  } else {
+    console.error("usage: node scripts/storage.js import-airtable | import <file.json> | export <file.json>");
+    process.exitCode = 2;
+  }
+} catch (e) {
+  console.error("storage error:", e.message);
+  process.exitCode = 1;
+}
@@ -4,82 +4,121 @@ import morgan from "morgan";
 import {
   initDiscord,
   onButtonInteraction,
-  sendOfferMessageGateway,
   disableMessageButtonsGateway,
   sendDealUpdateMessage,
+  sendStaffCounterMessage,
+  setMessageNote,
+  updateOpenOfferNote,
+  sendStaffAlert,
+  DENY_REASONS,
 } from "./lib/discord.js";
 import {
-  logOfferMessage,
   listOfferMessagesForOrder,
-  createSaleAndDecrement,
-  hasSaleForOrder,            // ← add
-  setOrderMatchedStatus,      // ← add
-} from "./lib/airtable.js";
-
-const processingOrders = new Set();
+  isOrderFilled,
+  countSalesForOrder,
+  logCounterOffer,
+  setCounterOfferStatus,
+  findOfferMessage,
+  logOfferClick,
+  setOfferMessageStatus,
+  isOpenOfferStatus,
+  OFFER_STATUS,
+} from "./lib/storage.js";
+import { authorizeClick, getSellerLanguage } from "./lib/sellers.js";
+import { captureRawBody, requireSignedWebhook } from "./lib/webhook-auth.js";
+import { claimOrder, markClaimSold, releaseOrderClaim } from "./lib/claims.js";
+import { bookSale, validateConfirm } from "./lib/booking.js";
+import { reconcile, startReconciler } from "./lib/reconcile.js";
+import { getOrderTimeline, getSellerOffers } from "./lib/timeline.js";
+import { leaderboard, startScorecards } from "./lib/metrics.js";
+import { resolveExpiresAt, isExpired, startOfferExpirySweeper } from "./lib/expiry.js";
+import { fanOutOffers, summarizeFanOut, closeOfferMessages, updateLiveOffers, baseOfferPrice } from "./lib/offers.js";
+import { startWaterfall, validateWaterfallConfig, cancelWaterfall, startWaterfallRunner } from "./lib/waterfall.js";
+import { normalizeCurrency, formatMoney } from "./lib/currency.js";
+import { t, hasMessage, normalizeLanguage } from "./lib/i18n.js";
+import { SANDBOX, listSandboxMessages, clickSandbox, resetSandbox } from "./lib/sandbox.js";
+import { requireDiscordSignature, handleInteractionRequest } from "./lib/interactions.js";
+import { runSelfCheck, startupSelfCheck } from "./lib/selfcheck.js";
 
 const app = express();
 app.use(morgan("combined"));
 
 app.get("/", (_req, res) => res.type("text/plain").send("Consignment bot OK"));
-app.get("/health", (_req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
+/** Liveness probe; signed `?deep=1` runs the Airtable schema + Discord self-check (staff) */
+app.get("/health", (req, res) => {
+  if (!req.query.deep) return res.json({ ok: true, ts: new Date().toISOString() });
+  requireSignedWebhook(req, res, async () => {
+    try {
+      const report = await runSelfCheck();
+      res.status(report.ok ? 200 : 503).json(report);
+    } catch (e) {
+      console.error("self-check error:", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+});
 
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: "1mb", verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 const isNum = (v) => typeof v === "number" && Number.isFinite(v);
 
 /** Receive one order + fan-out to sellers */
-app.post("/offers", async (req, res) => {
+app.post("/offers", requireSignedWebhook, async (req, res) => {
   try {
     const p = req.body || {};
     const orderRecId   = p?.order?.airtableRecordId;
     const orderHumanId = p?.order?.orderId;
     const sku          = p?.order?.sku;
     const size         = p?.order?.size;
+    const quantity     = Math.max(1, Math.floor(Number(p?.order?.quantity) || 1));
+    const buyerCountry = p?.order?.buyerCountry ?? p?.order?.clientCountry ?? null; // VAT rules; default DEFAULT_BUYER_COUNTRY
+    const currencyRaw  = p?.order?.currency; // currency of the sellers' prices in the payload; default EUR
     const sellers      = Array.isArray(p?.sellers) ? p.sellers : [];
     if (!orderRecId || sellers.length === 0) {
       return res.status(400).json({ error: "Missing order or sellers in payload" });
     }
 
-    const results = [];
-    for (const s of sellers) {
-      const { channelId, messageId, offerPrice } = await sendOfferMessageGateway({
-        orderRecId,
-        orderHumanId,
-        sellerId: s.sellerId,
-        sellerName: s.sellerName,
-        inventoryRecordId: s.inventoryRecordId,
-        productName: s.productName || null,
-        sku,
-        size,
-        suggested: s.normalizedSuggested ?? s.sellingPriceSuggested ?? null,
-        adjustedMax: s.normalizedMax ?? s.maxBuyNormalized ?? null,
-        showMax: false,
-        vatType: s.vatType,
-        sellerCountry: s.sellerCountry,
-        clientCountry: "Netherlands",
-        quantity: s.quantity ?? 1,
-      });
+    let expiresAt, currency;
+    try {
+      expiresAt = resolveExpiresAt(p?.order?.expiresAt ?? p?.expiresAt);
+      if (p.waterfall) validateWaterfallConfig(p.waterfall);
+      currency = normalizeCurrency(currencyRaw);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
-      // 👇 Log every message so /disable-offers can close them all later
-      try {
-        await logOfferMessage({
-          orderRecId,
-          sellerId: s.sellerId,
-          inventoryRecordId: s.inventoryRecordId,
-          channelId,
-          messageId,
-          offerPrice,
-        });
-      } catch (e) {
-        console.warn("logOfferMessage warn:", e.message);
-      }
+    const order = { orderRecId, orderHumanId, sku, size, quantity, buyerCountry, currency };
 
-      results.push({ sellerId: s.sellerId, messageId });
+    // Already filled (e.g. Make retried the webhook): don't message anyone
+    if (await isOrderFilled(orderRecId, quantity)) {
+      const results = sellers.map(s => ({
+        sellerId: s?.sellerId ?? null,
+        inventoryRecordId: s?.inventoryRecordId ?? null,
+        status: "skipped",
+        reason: "order already matched",
+      }));
+      return res.json({ ok: true, ...summarizeFanOut(results), results, sent: [] });
     }
 
-    res.json({ ok: true, sentCount: results.length, sent: results });
+    // 🌊 Waterfall: only the first tier now, later tiers are queued in Airtable
+    let results, queuedTiers;
+    if (p.waterfall) {
+      ({ results, queued: queuedTiers } = await startWaterfall(order, sellers, p.waterfall, { expiresAt }));
+    } else {
+      results = await fanOutOffers(order, sellers, { expiresAt });
+    }
+
+    const { httpStatus, ...summary } = summarizeFanOut(results);
+    res.status(httpStatus).json({
+      ok: httpStatus !== 502,
+      ...summary,
+      results,
+      // kept for existing Make scenarios
+      sent: results.filter(r => r.status === "sent").map(r => ({ sellerId: r.sellerId, messageId: r.messageId })),
+      queuedTiers,
+      expiresAt,
+    });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: e.message });
@@ -87,23 +126,26 @@ app.post("/offers", async (req, res) => {
 });
 
 // ───────────────── Deal Updates (called from Make) ─────────────────
-const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN; // set in Render (can reuse your bot token if you want)
-
-app.post("/deal-update", async (req, res) => {
+app.post("/deal-update", requireSignedWebhook, async (req, res) => {
   try {
-    // Simple header auth
-    if (!DISCORD_BOT_TOKEN || req.headers["x-bot-key"] !== DISCORD_BOT_TOKEN) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-
     const p = req.body || {};
     const sellerId   = p.sellerId || null;
     const sellerName = p.sellerName || sellerId;
-    const content    = p.content;
     const embed      = p.embed || null;
 
+    // Either ready-made `content`, or a catalog `template` (deal.<template>) + `params`,
+    // rendered in the seller's language (`language` in the payload wins over the Sellers table)
+    let content = p.content;
+    if (p.template) {
+      if (!hasMessage(`deal.${p.template}`)) {
+        return res.status(400).json({ error: `Unknown deal-update template "${p.template}"` });
+      }
+      const lang = normalizeLanguage(p.language) || await getSellerLanguage(sellerId) || "en";
+      content = t(lang, `deal.${p.template}`, p.params || {});
+    }
+
     if (!sellerName || !content) {
-      return res.status(400).json({ error: "sellerName (or sellerId) and content are required" });
+      return res.status(400).json({ error: "sellerName (or sellerId) and content (or template) are required" });
     }
 
     const msg = await sendDealUpdateMessage({ sellerId, sellerName, content, embed });
@@ -116,19 +158,20 @@ app.post("/deal-update", async (req, res) => {
 
 
 /** External closer (e.g., order moved to Processed External) */
-app.post("/disable-offers", async (req, res) => {
+app.post("/disable-offers", requireSignedWebhook, async (req, res) => {
   try {
     const { orderRecId, reason } = req.body || {};
     if (!orderRecId) return res.status(400).json({ error: "Missing orderRecId" });
 
-    const msgs = await listOfferMessagesForOrder(orderRecId);
+    await cancelWaterfall(orderRecId);
+    const msgs = (await listOfferMessagesForOrder(orderRecId)).filter(m => isOpenOfferStatus(m.status));
+    // One reason for every message, so the default note is resolved per language
     await Promise.allSettled(
       msgs.map(m =>
-        disableMessageButtonsGateway(
-          m.channelId,
-          m.messageId,
-          `✅ ${reason || "Closed"}. Offers disabled.`
-        )
+        closeOfferMessages([m], "note.closed", {
+          status: OFFER_STATUS.CLOSED_EXTERNALLY,
+          vars: { reason: reason || t(m.language, "note.closedDefault") },
+        })
       )
     );
 
@@ -139,58 +182,361 @@ app.post("/disable-offers", async (req, res) => {
   }
 });
 
+/** Re-render the order's open offers in place: new prices per seller, size, product name, note */
+app.post("/offers/update", requireSignedWebhook, async (req, res) => {
+  try {
+    const p = req.body || {};
+    const orderRecId = p.orderRecId;
+    const sellers = Array.isArray(p.sellers) ? p.sellers : [];
+    if (!orderRecId) return res.status(400).json({ error: "Missing orderRecId" });
+
+    let currency;
+    try {
+      currency = normalizeCurrency(p.currency);
+      for (const s of sellers) {
+        if (!s?.sellerId) throw new Error("Every seller needs a sellerId");
+        for (const k of ["normalizedSuggested", "sellingPriceSuggested", "normalizedMax", "maxBuyNormalized"]) {
+          if (s[k] != null && !(isNum(s[k]) && s[k] > 0)) throw new Error(`${s.sellerId}: ${k} must be a positive number`);
+        }
+      }
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const update = { orderRecId, currency, sellers };
+    for (const k of ["size", "sku", "productName", "note"]) if (k in p) update[k] = p[k];
+    const results = await updateLiveOffers(update, { notify: p.notify === true });
+
+    const count = (st) => results.filter(r => r.status === st).length;
+    const updatedCount = count("updated");
+    const failedCount = count("failed");
+    const httpStatus = failedCount === 0 ? 200 : updatedCount > 0 ? 207 : 502;
+    res.status(httpStatus).json({
+      ok: httpStatus !== 502,
+      updatedCount,
+      failedCount,
+      skippedCount: count("skipped"),
+      pingedCount: results.filter(r => r.pinged).length,
+      results,
+    });
+  } catch (e) {
+    console.error("offers/update error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Offer Messages status for the clicked message when a confirm is refused
+const REFUSED_STATUS = {
+  order_closed: OFFER_STATUS.CLOSED_EXTERNALLY,
+  out_of_stock: OFFER_STATUS.OUT_OF_STOCK,
+};
+
+/**
+ * Book the sale for one seller and close every offer of the order.
+ * Shared by the seller's Confirm button and staff accepting a counter-offer.
+ * Returns { booked: true }, or { booked: false, reason } when nothing was booked; `reason` is a
+ * short English explanation for staff (already filled, refused check, claim lost).
+ * Every message touched gets its Offer Messages status; `responder` is recorded on a confirm.
+ */
+async function confirmMatch({ orderRecId, sellerId, inventoryRecordId, price, basePrice = null, channelId, messageId, quantity = 1, buyerCountry = null, currency = "EUR", language = "en", responder = null }) {
+  const othersOf = async () =>
+    (await listOfferMessagesForOrder(orderRecId))
+      .filter(m => isOpenOfferStatus(m.status) && !(m.channelId === channelId && m.messageId === messageId));
+  // Notes are catalog keys: every message is closed in its own seller's language
+  const closeOthers = async (key, status) => closeOfferMessages(await othersOf(), key, { status });
+  const closeClicked = async (key, vars, status, extra = {}) => {
+    await disableMessageButtonsGateway(channelId, messageId, t(language, key, vars), language);
+    await findOfferMessage(messageId)
+      .then(row => row?.recordId && setOfferMessageStatus([row.recordId], { status, ...extra }))
+      .catch(e => console.warn("offer status warn:", e.message));
+  };
+
+  // 1) Idempotency guard in Airtable (cheap early exit for late clicks / retries)
+  if (await isOrderFilled(orderRecId, quantity)) {
+    // Already sold/matched; close all buttons
+    await closeClicked("note.alreadyMatched", {}, OFFER_STATUS.MATCHED_ELSEWHERE);
+    await closeOthers("note.alreadyMatched", OFFER_STATUS.MATCHED_ELSEWHERE);
+    return { booked: false, reason: "the order was already matched" };
+  }
+
+  // 2) Stock / ownership / order-open checks; a failure books nothing and is flagged to staff
+  const check = await validateConfirm({ orderRecId, sellerId, inventoryRecordId });
+  if (!check.ok) {
+    console.warn(`Confirm refused (${check.code}) on ${orderRecId} by ${sellerId}: ${check.detail}`);
+    await closeClicked(`refused.${check.code}`, { sellerId }, REFUSED_STATUS[check.code] || OFFER_STATUS.REFUSED);
+    if (check.code === "order_closed") await closeOthers("note.orderClosed", OFFER_STATUS.CLOSED_EXTERNALLY);
+    await sendStaffAlert(`⚠️ Confirm refused (${check.code}) — seller ${sellerId}, order ${orderRecId}: ${check.detail}`)
+      .catch(e => console.warn("sendStaffAlert warn:", e.message));
+    return { booked: false, reason: `confirm refused (${check.code}): ${check.detail}` };
+  }
+
+  // 3) Durable claim: one winner per requested pair, across all instances
+  const claim = await claimOrder(orderRecId, { quantity, who: messageId });
+  if (!claim.won) {
+    console.log(`Claim lost on ${orderRecId} by ${sellerId} (held by ${claim.holder})`);
+    await closeClicked("note.matchedByOther", {}, OFFER_STATUS.MATCHED_ELSEWHERE);
+    return { booked: false, reason: "another confirm is booking the last pair" };
+  }
+
+  // 4) Book the sale as a saga: sale → stock → order status, undone on failure
+  let booking;
+  try {
+    booking = await bookSale({ orderRecId, sellerId, inventoryRecordId, price, basePrice, currency, quantity, buyerCountry });
+  } catch (e) {
+    await releaseOrderClaim(orderRecId, claim).catch(err => console.warn("releaseOrderClaim warn:", err.message));
+    if (e.code !== "order_filled") throw e;
+    console.log(`Claim on ${orderRecId} won by ${sellerId} but the order is already filled`);
+    await closeClicked("note.alreadyMatched", {}, OFFER_STATUS.MATCHED_ELSEWHERE);
+    await closeOthers("note.alreadyMatched", OFFER_STATUS.MATCHED_ELSEWHERE);
+    return { booked: false, reason: "another confirm filled the order first" };
+  }
+  await markClaimSold(orderRecId, claim).catch(e => console.warn("markClaimSold warn:", e.message));
+  if (booking.needsRepair) console.warn(`Booking for ${orderRecId} needs repair; the reconciler will finish it`);
+
+  // 5) Multi-pair order not filled yet: keep the other offers open and tell them what's left
+  const filled = booking.filled ?? (quantity > 1 ? await countSalesForOrder(orderRecId) : 1);
+  if (filled < quantity) {
+    await closeClicked("note.matchedByPartial", { sellerId, filled, quantity }, OFFER_STATUS.CONFIRMED, { responder });
+    const left = quantity - filled;
+    const msgs = await othersOf();
+    await Promise.allSettled(
+      msgs.map(m => updateOpenOfferNote(m.channelId, m.messageId, t(m.language, "note.stillNeeded", { left, quantity })))
+    );
+    return { booked: true };
+  }
+
+  // 6) Order filled (marked Matched by the saga): stop any queued tiers
+  await cancelWaterfall(orderRecId).catch(e => console.warn("cancelWaterfall warn:", e.message));
+
+  // 7) Disable clicked message immediately
+  await closeClicked("note.matchedBy", { sellerId }, OFFER_STATUS.CONFIRMED, { responder });
+
+  // 8) Disable all other messages for this order
+  await closeOthers("note.matchedByOther", OFFER_STATUS.MATCHED_ELSEWHERE);
+  return { booked: true };
+}
+
+// The seller's offer message for a counter, looked up from the Offer Messages log
+async function findSellerOfferMessage(orderRecId, sellerId, inventoryRecordId) {
+  const msgs = await listOfferMessagesForOrder(orderRecId);
+  return msgs.find(m => m.sellerId === sellerId && m.inventoryRecordId === inventoryRecordId)
+      || msgs.find(m => m.sellerId === sellerId)
+      || null;
+}
+
+/** Repair Sales / Inventory / order status drift (also runs on a schedule) */
+app.post("/reconcile", requireSignedWebhook, async (req, res) => {
+  try {
+    const dryRun = ["1", "true"].includes(String(req.query.dryRun ?? req.body?.dryRun ?? ""));
+    res.json({ ok: true, ...(await reconcile({ dryRun })) });
+  } catch (e) {
+    console.error("reconcile error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Staff debugging: every offer of an order with its state, clicks and sale */
+app.get("/orders/:orderRecId", requireSignedWebhook, async (req, res) => {
+  try {
+    const { orderRecId } = req.params;
+    if (!/^rec\w+$/.test(orderRecId)) return res.status(400).json({ error: "orderRecId must be an Airtable record id" });
+    const timeline = await getOrderTimeline(orderRecId);
+    if (!timeline) return res.status(404).json({ error: "Order not found" });
+    res.json(timeline);
+  } catch (e) {
+    console.error("order timeline error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** A seller's recent offers (`?days=30`) */
+app.get("/sellers/:sellerId/offers", requireSignedWebhook, async (req, res) => {
+  try {
+    const days = Number(req.query.days ?? 30);
+    if (!(days > 0 && days <= 365)) return res.status(400).json({ error: "days must be between 1 and 365" });
+    res.json(await getSellerOffers(req.params.sellerId, { days }));
+  } catch (e) {
+    console.error("seller offers error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Staff: sellers ranked by responsiveness (`?days=30`) */
+app.get("/sellers/leaderboard", requireSignedWebhook, async (req, res) => {
+  try {
+    const days = Number(req.query.days ?? 30);
+    if (!(days > 0 && days <= 365)) return res.status(400).json({ error: "days must be between 1 and 365" });
+    res.json(await leaderboard({ days }));
+  } catch (e) {
+    console.error("leaderboard error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Discord's Interactions Endpoint URL (DISCORD_INTERACTIONS=http); Ed25519-signed by Discord */
+app.post("/interactions", requireDiscordSignature, handleInteractionRequest);
+
+/** Sandbox only: the fake Discord's messages, and clicks on them */
+if (SANDBOX) {
+  app.get("/sandbox/messages", requireSignedWebhook, (req, res) => {
+    res.json(listSandboxMessages({ channelId: req.query.channelId, match: req.query.match }));
+  });
+
+  app.post("/sandbox/click", requireSignedWebhook, async (req, res) => {
+    try {
+      const { customId } = req.body || {};
+      if (!customId) return res.status(400).json({ error: "Missing customId" });
+      res.json(await clickSandbox(req.body));
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e.message });
+    }
+  });
+
+  app.post("/sandbox/reset", requireSignedWebhook, (_req, res) => {
+    resetSandbox();
+    res.json({ ok: true });
+  });
+}
+
 /** Button interactions */
+await startupSelfCheck();
 await initDiscord();
-await onButtonInteraction(async ({ action, orderRecId, sellerId, inventoryRecordId, offerPrice, channelId, messageId }) => {
+startOfferExpirySweeper();
+startWaterfallRunner();
+startReconciler();
+startScorecards();
+await onButtonInteraction(async ({
+  action, orderRecId, sellerId, inventoryRecordId, offerPrice, counterPrice, currency, orderQuantity, denyReason,
+  channelId, messageId, userId, userTag, roleIds, locale, reply,
+}) => {
   try {
     // 🔒 Only react to this service's actions. Ignore external (_ext) buttons.
-    if (!["confirm", "deny"].includes(action)) {
+    if (!["confirm", "deny", "counter", "counter_accept", "counter_reject"].includes(action)) {
       return; // ignore confirm_ext / deny_ext etc.
     }
 
+    // The deny reason select only names the offer message; who and what come from its row
+    let denyRow = null;
     if (action === "deny") {
-      await disableMessageButtonsGateway(channelId, messageId, `❌ ${sellerId} denied / not available.`);
-      return;
+      denyRow = await findOfferMessage(messageId);
+      if (!denyRow) {
+        console.warn(`deny: message ${messageId} not found in Offer Messages`);
+        return;
+      }
+      ({ orderRecId, sellerId, inventoryRecordId, offerPrice, currency } = denyRow);
     }
 
-    // action === "confirm"
-    // 1) In-memory mutex (protects against near-simultaneous clicks on this instance)
-    if (processingOrders.has(orderRecId)) {
-      await disableMessageButtonsGateway(channelId, messageId, "⏳ Already being processed by another click.");
+    // 🔐 Only the seller the offer belongs to (or staff, for counter review) may act
+    const auth = await authorizeClick({ action, sellerId, userId, roleIds });
+    await logOfferClick({
+      orderRecId, sellerId, inventoryRecordId, messageId, action, userId, userTag, authorized: auth.ok,
+    }).catch(e => console.warn("logOfferClick warn:", e.message));
+    if (!auth.ok) {
+      console.warn(`Rejected ${action} on ${orderRecId} by ${userTag || userId} (seller ${sellerId})`);
+      // In the clicker's Discord language: they may not be the seller
+      await reply?.(t(locale, auth.reason, auth.vars));
       return;
     }
-    processingOrders.add(orderRecId);
 
-    // 2) Idempotency guard in Airtable (protects against retries / other instances)
-    if (await hasSaleForOrder(orderRecId)) {
-      // Already sold/matched; close all buttons
-      const msgs = await listOfferMessagesForOrder(orderRecId);
-      await Promise.allSettled(
-        msgs.map(m => disableMessageButtonsGateway(m.channelId, m.messageId, "✅ Already matched. Offers closed."))
-      );
+    // Seller-facing notes use the language stored with the offer, else the Sellers table
+    const languageOf = async (row) => row?.language || await getSellerLanguage(sellerId) || "en";
+
+    if (action === "deny") {
+      // Sent from the reason select; a message already closed by something else stays as it is
+      if (!isOpenOfferStatus(denyRow.status)) return;
+      const lang = await languageOf(denyRow);
+      await disableMessageButtonsGateway(channelId, messageId, t(lang, "note.denied", { sellerId }), lang);
+      if (denyRow.recordId) {
+        await setOfferMessageStatus([denyRow.recordId], {
+          status: OFFER_STATUS.DENIED,
+          responder: userTag || userId,
+          // Stored as the English label so the Airtable column reads the same for every seller
+          denyReason: DENY_REASONS.includes(denyReason) ? t("en", `deny.reasons.${denyReason}`) : null,
+        }).catch(e => console.warn("offer status warn:", e.message));
+      }
+      return true; // tells the reason prompt the deny went through
+    }
+
+    // ⌛ Refuse late clicks from sellers (the sweeper may not have closed the message yet)
+    let logged = null;
+    let lang = "en";
+    if (action === "confirm" || action === "counter") {
+      logged = await findOfferMessage(messageId);
+      lang = await languageOf(logged);
+      if (logged && isExpired(logged.expiresAt)) {
+        await disableMessageButtonsGateway(channelId, messageId, t(lang, "note.offerExpired"), lang);
+        return;
+      }
+    }
+    // Multi-pair buttons carry the order quantity; older ones rely on the Offer Messages row
+    const quantity = orderQuantity || logged?.orderQuantity || 1;
+
+    if (action === "counter") {
+      // Seller submitted the counter modal: log it next to the offer row, hand it to staff
+      if (await isOrderFilled(orderRecId, quantity)) {
+        await disableMessageButtonsGateway(channelId, messageId, t(lang, "note.alreadyMatched"), lang);
+        return;
+      }
+      const row = await logCounterOffer({ messageId, counterPrice });
+      if (!row) console.warn(`counter: message ${messageId} not found in Offer Messages; posting to staff anyway`);
+      await sendStaffCounterMessage({
+        orderRecId, sellerId, inventoryRecordId, offerPrice, counterPrice, currency, channelId, messageId,
+        orderQuantity: quantity,
+      });
+      await setMessageNote(channelId, messageId, t(lang, "counter.sent", { price: formatMoney(counterPrice, currency) }));
       return;
     }
 
-    // 3) Create sale + decrement quantity
-    await createSaleAndDecrement({ inventoryId: inventoryRecordId, orderRecId, finalPrice: offerPrice });
+    if (action === "counter_accept" || action === "counter_reject") {
+      // channelId/messageId here are the staff review card; offerPrice carries the counter price
+      const offer = await findSellerOfferMessage(orderRecId, sellerId, inventoryRecordId);
+      if (!offer) {
+        await disableMessageButtonsGateway(channelId, messageId, `⚠️ Offer message for ${sellerId} not found in Offer Messages.`);
+        return;
+      }
 
-    // 4) Mark the order as matched (so any later paths see it)
-    await setOrderMatchedStatus(orderRecId, "Matched");
+      if (action === "counter_reject") {
+        if (offer.recordId) await setCounterOfferStatus(offer.recordId, "Rejected");
+        const offerLang = await languageOf(offer);
+        await setMessageNote(offer.channelId, offer.messageId, t(offerLang, "counter.declined", { price: formatMoney(offerPrice, currency) }));
+        await disableMessageButtonsGateway(channelId, messageId, `❌ Counter rejected${userTag ? ` by ${userTag}` : ""}.`);
+        return;
+      }
 
-    // 5) Disable clicked message immediately
-    await disableMessageButtonsGateway(channelId, messageId, `✅ Matched by ${sellerId}.`);
+      const { booked, reason } = await confirmMatch({
+        orderRecId, sellerId, inventoryRecordId,
+        price: offerPrice,
+        channelId: offer.channelId,
+        messageId: offer.messageId,
+        quantity: orderQuantity || offer.orderQuantity,
+        buyerCountry: offer.buyerCountry,
+        currency,
+        language: await languageOf(offer),
+        responder: userTag || userId,
+      });
+      if (offer.recordId) await setCounterOfferStatus(offer.recordId, booked ? "Accepted" : "Rejected");
+      await disableMessageButtonsGateway(
+        channelId,
+        messageId,
+        booked
+          ? `✅ Counter accepted${userTag ? ` by ${userTag}` : ""}. Sale booked at ${formatMoney(offerPrice, currency)}.`
+          : `⚠️ Counter not booked: ${reason}.`
+      );
+      return;
+    }
 
-    // 6) Disable all other messages for this order
-    const msgs = await listOfferMessagesForOrder(orderRecId);
-    await Promise.allSettled(
-      msgs
-        .filter(m => !(m.channelId === channelId && m.messageId === messageId))
-        .map(m => disableMessageButtonsGateway(m.channelId, m.messageId, "✅ Matched by another seller. Offers closed."))
-    );
+    // action === "confirm"
+    await confirmMatch({
+      orderRecId, sellerId, inventoryRecordId, price: offerPrice, channelId, messageId,
+      basePrice: baseOfferPrice(logged, offerPrice),
+      quantity,
+      buyerCountry: logged?.buyerCountry ?? null,
+      currency,
+      language: lang,
+      responder: userTag || userId,
+    });
   } catch (e) {
     console.error("Interaction handling error:", e);
-  } finally {
-    processingOrders.delete(orderRecId);
   }
 });
 
@@ -0,0 +1,76 @@
+// test/vat.test.js
+// Every seller country × buyer country × VAT type against the shipped config/vat-rules.json.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+// The shipped rules, not an override from the environment
+delete process.env.VAT_RULES;
+delete process.env.VAT_RULES_FILE;
+delete process.env.DEFAULT_BUYER_COUNTRY;
+const { resolveVat, vatLabel, countryCode, normalizeVatType, VAT_TYPES } = await import("../lib/vat.js");
+const { rules } = JSON.parse(fs.readFileSync(new URL("../config/vat-rules.json", import.meta.url), "utf8"));
+
+// Countries as they show up in Airtable: code, name, flag, EU and non-EU, unknown, empty
+const SELLERS = ["NL", "Netherlands", "🇳🇱", "DE", "Belgium", "GB", "US", "Atlantis", ""];
+const BUYERS = ["NL", "nederland", "DE", "FR", "GB", "CH", "", null];
+
+const MARGIN = { label: "(Margin)", saleVatType: "Margin", multiplier: 1 };
+const VAT21 = { label: "(VAT 21%)", saleVatType: "VAT21", multiplier: 1 };
+const VAT0 = { label: "(VAT 0%)", saleVatType: "VAT0", multiplier: 1 };
+// A Dutch VAT0 seller selling to a Dutch buyer charges 21% on top
+const VAT0_DOMESTIC_NL = { label: "(VAT 21%)", saleVatType: "VAT21", multiplier: 1.21 };
+
+function expected(vatType, seller, buyer) {
+  if (vatType === "Margin") return MARGIN;
+  if (vatType === "VAT21") return VAT21;
+  // No buyer country → DEFAULT_BUYER_COUNTRY (NL)
+  const buyerNL = !buyer || countryCode(buyer) === "NL";
+  return countryCode(seller) === "NL" && buyerNL ? VAT0_DOMESTIC_NL : VAT0;
+}
+
+// Which rule index a combination should hit, to prove every shipped rule is exercised
+const ruleOf = (r) => rules.findIndex(x => x.label === r.label && x.saleVat === r.saleVatType && (Number(x.multiplier) || 1) === r.multiplier);
+
+test("every seller × buyer × VAT type resolves as the shipped rules say", () => {
+  const hit = new Set();
+  for (const vatType of VAT_TYPES) {
+    for (const sellerCountry of SELLERS) {
+      for (const buyerCountry of BUYERS) {
+        const want = expected(vatType, sellerCountry, buyerCountry);
+        const got = resolveVat({ vatType, sellerCountry, buyerCountry });
+        const at = `${vatType} / seller "${sellerCountry}" / buyer "${buyerCountry}"`;
+        assert.equal(got.vatType, vatType, at);
+        assert.equal(got.label, want.label, at);
+        assert.equal(got.saleVatType, want.saleVatType, at);
+        assert.equal(got.multiplier, want.multiplier, at);
+        assert.equal(vatLabel({ vatType, sellerCountry, buyerCountry }), want.label, at);
+        hit.add(ruleOf(want));
+      }
+    }
+  }
+  assert.deepEqual([...hit].sort(), rules.map((_, i) => i), "every rule in config/vat-rules.json is covered");
+});
+
+test("buyer country defaults to NL", () => {
+  assert.equal(resolveVat({ vatType: "VAT0", sellerCountry: "NL" }).buyerCountry, "NL");
+  assert.equal(resolveVat({ vatType: "VAT0", sellerCountry: "NL", buyerCountry: "DE" }).buyerCountry, "DE");
+});
+
+test("Airtable VAT options normalize to the rule types", () => {
+  assert.equal(normalizeVatType("Margin scheme"), "Margin");
+  assert.equal(normalizeVatType("VAT 21"), "VAT21");
+  assert.equal(normalizeVatType("21"), "VAT21");
+  assert.equal(normalizeVatType("vat0"), "VAT0");
+  assert.equal(normalizeVatType(""), "Margin");
+  assert.equal(normalizeVatType("something else"), "Margin");
+});
+
+test("country names, codes and flags map to ISO codes", () => {
+  assert.equal(countryCode("The Netherlands"), "NL");
+  assert.equal(countryCode("🇩🇪"), "DE");
+  assert.equal(countryCode("uk"), "GB");
+  assert.equal(countryCode("België"), "BE");
+  assert.equal(countryCode(""), null);
+  assert.equal(countryCode("Atlantis"), null);
+});